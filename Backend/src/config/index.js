@@ -1,10 +1,21 @@
 require('dotenv').config();
 
+const parseTrustProxy = (value) => {
+  if (!value || value === 'false') return false;
+  if (value === 'true') return true;
+  if (/^\d+$/.test(value)) return parseInt(value, 10);
+  return value;
+};
+
 const config = {
   // Server settings
   port: process.env.PORT || 3000,
   nodeEnv: process.env.NODE_ENV || 'development',
   
+  // Proxy hops whose X-Forwarded-For is trusted for req.ip: 'true', a hop
+  // count, or a list of addresses/subnets (Express "trust proxy"). Off by default.
+  trustProxy: parseTrustProxy(process.env.TRUST_PROXY),
+  
   // Database settings
   dbUrl: process.env.DB_URL || ' mongodb://127.0.0.1:27017/short-url',
   
@@ -12,6 +23,28 @@ const config = {
   refreshSecret: process.env.REFRESH_TOKEN_SECRET || 'refresh-secret-key-should-be-long-and-secure',
   accessSecret: process.env.ACCESS_TOKEN_SECRET || 'access-secret-key-should-be-long-and-secure',
   
+  // Short links: leave 0/O/o and 1/l/I out of generated short IDs
+  confusableSafeShortIds: process.env.SHORT_ID_CONFUSABLE_SAFE === 'true',
+  
+  // Branded domains: skip the DNS TXT lookup and accept every verification (local dev only)
+  stubDomainVerification: process.env.DOMAIN_VERIFICATION_STUB === 'true',
+  
+  // Short links at /:shortId instead of /r/:shortId:
+  // 'off', 'branded' (verified branded domains only) or 'all' (every host,
+  // for deployments whose APP_BASE_URL is itself a dedicated short domain)
+  rootPathShortLinks: ['branded', 'all'].includes(process.env.ROOT_PATH_SHORT_LINKS)
+    ? process.env.ROOT_PATH_SHORT_LINKS
+    : 'off',
+  
+  // Redirect cache: max links kept in memory and seconds before reloading one (0 disables)
+  redirectCacheSize: parseInt(process.env.REDIRECT_CACHE_SIZE ?? '10000', 10),
+  redirectCacheTtl: parseInt(process.env.REDIRECT_CACHE_TTL ?? '60', 10),
+  
+  // Visit logging: visits per insertMany batch, ms between timed flushes, max visits held in memory
+  visitBatchSize: parseInt(process.env.VISIT_BATCH_SIZE ?? '100', 10),
+  visitFlushInterval: parseInt(process.env.VISIT_FLUSH_INTERVAL ?? '2000', 10),
+  visitQueueLimit: parseInt(process.env.VISIT_QUEUE_LIMIT ?? '50000', 10),
+  
 };
 
 module.exports = config;
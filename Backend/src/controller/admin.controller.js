@@ -3,6 +3,9 @@ const User = require('../models/users.model');
 const VisitHistory = require('../models/visitHistory.model');
 const Folder = require('../models/folder.model');
 const mongoose = require('mongoose');
+const { snapshotUrl, recordRevision } = require('../service/revision.service');
+const redirectCache = require('../service/redirectCache.service');
+const visitBuffer = require('../service/visitBuffer.service');
 
 /**
  * Admin Dashboard - Overview with key metrics
@@ -499,6 +502,8 @@ const handleUpdateUrl = async (req, res) => {
       return res.status(404).json({ error: 'URL not found' });
     }
     
+    const before = snapshotUrl(url);
+    
     // Update fields if provided
     if (isActive !== undefined) {
       url.isActive = isActive;
@@ -520,6 +525,8 @@ const handleUpdateUrl = async (req, res) => {
     
     url.updatedAt = new Date();
     await url.save();
+    redirectCache.invalidate(url);
+    await recordRevision(url, before, { changedBy: req.user.id });
     
     return res.status(200).json({
       success: true,
@@ -662,6 +669,16 @@ const handleSystemStats = async (req, res) => {
   }
 };
 
+/**
+ * System Stats - Visit logging buffer depth
+ */
+const handleVisitQueueStatus = (req, res) => {
+  return res.status(200).json({
+    success: true,
+    data: visitBuffer.getStats()
+  });
+};
+
 module.exports = {
   handleAdminDashboard,
   handleListUsers,
@@ -670,5 +687,6 @@ module.exports = {
   handleListUrls,
   handleGetUrlDetails,
   handleUpdateUrl,
-  handleSystemStats
+  handleSystemStats,
+  handleVisitQueueStatus
 };
\ No newline at end of file
@@ -1,6 +1,15 @@
 const URL = require("../models/url.model");
 const Folder = require("../models/folder.model");
 const VisitHistory = require("../models/visitHistory.model");
+const { getEffectiveRedirectURL } = require("../service/routing.service");
+const { buildShortUrl } = require("../service/domain.service");
+
+/**
+ * Visit filter for the includeBots query switch (human-only unless "true").
+ * deviceType "bot" covers visits logged before isBot existed.
+ */
+const getBotFilter = (includeBots) =>
+  includeBots === "true" ? {} : { isBot: { $ne: true }, deviceType: { $ne: "bot" } };
 
 /**
  * Get URL analytics overview (high-level stats)
@@ -10,6 +19,7 @@ const handleGetUrlOverview = async (req, res) => {
   try {
     const { shortId } = req.params;
     const userId = req.user.id;
+    const { includeBots } = req.query;
 
     // Validate shortId
     if (!shortId) {
@@ -24,7 +34,9 @@ const handleGetUrlOverview = async (req, res) => {
       shortId,
       createdBy: userId,
       isDeleted: false,
-    }).populate("folderId", "name");
+    })
+      .populate("folderId", "name")
+      .populate("domainId", "hostname");
 
     if (!urlDoc) {
       return res.status(404).json({
@@ -36,20 +48,30 @@ const handleGetUrlOverview = async (req, res) => {
     // Get total clicks
     const totalClicks = await VisitHistory.countDocuments({
       urlId: urlDoc._id,
+      ...getBotFilter(includeBots),
     });
 
-    // Generate short URL
-    const appBaseUrl = process.env.APP_BASE_URL || "http://localhost:3000";
-
     return res.status(200).json({
       success: true,
       message: "URL overview fetched successfully",
       data: {
         id: urlDoc._id,
         title: urlDoc.title,
+        description: urlDoc.description,
         shortId: urlDoc.shortId,
-        shortUrl: `${appBaseUrl}/r/${urlDoc.shortId}`,
-        redirectURL: urlDoc.redirectURL,
+        aliases: urlDoc.aliases,
+        shortUrl: buildShortUrl(urlDoc.shortId, urlDoc.domainId?.hostname),
+        redirectURL: getEffectiveRedirectURL(urlDoc),
+        redirectType: urlDoc.redirectType,
+        interstitial: urlDoc.interstitial,
+        openGraph: urlDoc.openGraph,
+        deepLink: urlDoc.deepLink,
+        variants: urlDoc.variants,
+        geoRules: urlDoc.geoRules,
+        deviceRules: urlDoc.deviceRules,
+        languageRules: urlDoc.languageRules,
+        scheduleRules: urlDoc.scheduleRules,
+        scheduleTimezone: urlDoc.scheduleTimezone,
         isActive: urlDoc.isActive,
         folder: urlDoc.folderId
           ? {
@@ -58,7 +80,11 @@ const handleGetUrlOverview = async (req, res) => {
             }
           : null,
         expirationDate: urlDoc.expirationDate,
+        activeFrom: urlDoc.activeFrom,
+        maxClicks: urlDoc.maxClicks,
+        clickCount: urlDoc.clickCount,
         totalClicks,
+        includeBots: includeBots === "true",
         createdAt: urlDoc.createdAt,
         updatedAt: urlDoc.updatedAt,
       },
@@ -84,6 +110,7 @@ const handleGetChartsData = async (req, res) => {
       startDate,
       endDate,
       groupBy = "day", // day, week, month
+      includeBots,
     } = req.query;
 
     // Validate shortId
@@ -108,8 +135,8 @@ const handleGetChartsData = async (req, res) => {
       });
     }
 
-    // Build date filter
-    const matchStage = { urlId: urlDoc._id };
+    // Build date and bot filter
+    const matchStage = { urlId: urlDoc._id, ...getBotFilter(includeBots) };
 
     if (startDate || endDate) {
       matchStage.timestamp = {};
@@ -199,6 +226,84 @@ const handleGetChartsData = async (req, res) => {
             { $limit: 10 },
           ],
 
+          // Language distribution (primary subtag, e.g. "de" for "de-ch")
+          languageStats: [
+            {
+              $group: {
+                _id: {
+                  $ifNull: [
+                    { $arrayElemAt: [{ $split: ["$language", "-"] }, 0] },
+                    "unknown",
+                  ],
+                },
+                count: { $sum: 1 },
+              },
+            },
+            { $sort: { count: -1 } },
+            { $limit: 10 },
+          ],
+
+          // A/B split variant breakdown
+          variantStats: [
+            {
+              $group: {
+                _id: { $ifNull: ["$variant", "default"] },
+                count: { $sum: 1 },
+              },
+            },
+            { $sort: { count: -1 } },
+          ],
+
+          // Short ID vs alias the visitor came in through
+          aliasStats: [
+            {
+              $group: {
+                _id: "$alias",
+                count: { $sum: 1 },
+              },
+            },
+            { $sort: { count: -1 } },
+          ],
+
+          // Automated traffic by kind (only present with includeBots=true)
+          botStats: [
+            { $match: { isBot: true } },
+            {
+              $group: {
+                _id: "$botType",
+                count: { $sum: 1 },
+              },
+            },
+            { $sort: { count: -1 } },
+          ],
+
+          // How visitors were sent on (redirect, interstitial, deep link)
+          outcomeStats: [
+            {
+              $group: {
+                _id: { $ifNull: ["$outcome", "redirect"] },
+                count: { $sum: 1 },
+              },
+            },
+            { $sort: { count: -1 } },
+          ],
+
+          // Targeting rule hit counts
+          ruleStats: [
+            { $match: { matchedRule: { $ne: null } } },
+            {
+              $group: {
+                _id: {
+                  kind: "$matchedRule.kind",
+                  ruleId: "$matchedRule.ruleId",
+                },
+                label: { $last: "$matchedRule.label" },
+                count: { $sum: 1 },
+              },
+            },
+            { $sort: { count: -1 } },
+          ],
+
           // Total count
           totalCount: [{ $count: "value" }],
         },
@@ -243,6 +348,50 @@ const handleGetChartsData = async (req, res) => {
       percentage: totalClicks > 0 ? Math.round((entry.count / totalClicks) * 100) : 0,
     }));
 
+    // Format language stats
+    const languages = result.languageStats.map((entry) => ({
+      language: entry._id,
+      count: entry.count,
+      percentage: totalClicks > 0 ? Math.round((entry.count / totalClicks) * 100) : 0,
+    }));
+
+    // Format variant stats
+    const variants = result.variantStats.map((entry) => ({
+      variant: entry._id,
+      count: entry.count,
+      percentage: totalClicks > 0 ? Math.round((entry.count / totalClicks) * 100) : 0,
+    }));
+
+    // Format alias stats (alias null = primary short ID)
+    const aliases = result.aliasStats.map((entry) => ({
+      alias: entry._id ?? null,
+      count: entry.count,
+      percentage: totalClicks > 0 ? Math.round((entry.count / totalClicks) * 100) : 0,
+    }));
+
+    // Format bot stats
+    const bots = result.botStats.map((entry) => ({
+      botType: entry._id,
+      count: entry.count,
+      percentage: totalClicks > 0 ? Math.round((entry.count / totalClicks) * 100) : 0,
+    }));
+
+    // Format outcome stats
+    const outcomes = result.outcomeStats.map((entry) => ({
+      outcome: entry._id,
+      count: entry.count,
+      percentage: totalClicks > 0 ? Math.round((entry.count / totalClicks) * 100) : 0,
+    }));
+
+    // Format rule hit counts
+    const rules = result.ruleStats.map((entry) => ({
+      kind: entry._id.kind,
+      ruleId: entry._id.ruleId,
+      label: entry.label,
+      count: entry.count,
+      percentage: totalClicks > 0 ? Math.round((entry.count / totalClicks) * 100) : 0,
+    }));
+
     return res.status(200).json({
       success: true,
       message: "Charts data fetched successfully",
@@ -253,10 +402,17 @@ const handleGetChartsData = async (req, res) => {
         countries,
         cities,
         referrers,
+        languages,
+        variants,
+        aliases,
+        rules,
+        outcomes,
+        bots,
         filters: {
           startDate: startDate || null,
           endDate: endDate || null,
           groupBy,
+          includeBots: includeBots === "true",
         },
       },
     });
@@ -277,7 +433,7 @@ const handleGetVisitHistory = async (req, res) => {
   try {
     const { shortId } = req.params;
     const userId = req.user.id;
-    const { page = 1, limit = 20, startDate, endDate } = req.query;
+    const { page = 1, limit = 20, startDate, endDate, includeBots } = req.query;
 
     // Validate shortId
     if (!shortId) {
@@ -302,7 +458,7 @@ const handleGetVisitHistory = async (req, res) => {
     }
 
     // Build query
-    const query = { urlId: urlDoc._id };
+    const query = { urlId: urlDoc._id, ...getBotFilter(includeBots) };
 
     // Date filter
     if (startDate || endDate) {
@@ -352,6 +508,12 @@ const handleGetVisitHistory = async (req, res) => {
       country: visit.country || null,
       city: visit.city || null,
       deviceType: visit.deviceType || "unknown",
+      os: visit.os || "unknown",
+      language: visit.language || null,
+      alias: visit.alias || null,
+      outcome: visit.outcome || "redirect",
+      isBot: visit.isBot || visit.deviceType === "bot",
+      botType: visit.botType || null,
       referrer: visit.referrer || "direct",
       visitorIP: anonymizeIP(visit.visitorIP),
       userAgent: visit.userAgent || null,
@@ -374,6 +536,7 @@ const handleGetVisitHistory = async (req, res) => {
       filters: {
         startDate: startDate || null,
         endDate: endDate || null,
+        includeBots: includeBots === "true",
       },
     });
   } catch (error) {
@@ -0,0 +1,241 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const Domain = require("../models/domain.model");
+const URL = require("../models/url.model");
+const redirectCache = require("../service/redirectCache.service");
+const {
+  getDefaultHostname,
+  normalizeHostname,
+  getVerificationRecord,
+  verifyDomainOwnership,
+} = require("../service/domain.service");
+
+/**
+ * Shape a domain document for API responses
+ */
+const formatDomain = (domain) => ({
+  id: domain._id,
+  hostname: domain.hostname,
+  isVerified: domain.isVerified,
+  verifiedAt: domain.verifiedAt,
+  verificationRecord: getVerificationRecord(domain),
+  createdAt: domain.createdAt,
+});
+
+/**
+ * Register a branded domain; it must be verified before links can use it
+ * @route POST /api/domain
+ */
+const handleAddDomain = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { hostname } = req.body;
+
+    // 1. Validate hostname
+    const normalizedHostname = normalizeHostname(hostname);
+    if (!normalizedHostname) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid domain name (e.g. go.example.com, without scheme or path)",
+      });
+    }
+
+    if (normalizedHostname === getDefaultHostname()) {
+      return res.status(400).json({
+        success: false,
+        message: "This domain is already the default short link domain",
+      });
+    }
+
+    // 2. Reject domains already registered by this account or verified by another
+    const existing = await Domain.findOne({
+      hostname: normalizedHostname,
+      $or: [{ createdBy: userId }, { isVerified: true }],
+    });
+
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: "Domain is already registered",
+      });
+    }
+
+    // 3. Create with a fresh verification token
+    const domain = await Domain.create({
+      hostname: normalizedHostname,
+      createdBy: userId,
+      verificationToken: crypto.randomBytes(16).toString("hex"),
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: "Domain added. Publish the TXT record, then verify the domain",
+      data: formatDomain(domain),
+    });
+  } catch (error) {
+    console.error("Add Domain Error:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+/**
+ * List the logged-in user's branded domains
+ * @route GET /api/domain
+ */
+const handleListDomains = async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const domains = await Domain.find({ createdBy: userId }).sort({ createdAt: -1 });
+
+    return res.status(200).json({
+      success: true,
+      message: "Domains fetched successfully",
+      data: domains.map(formatDomain),
+    });
+  } catch (error) {
+    console.error("List Domains Error:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+/**
+ * Check the domain's DNS TXT record and mark it verified
+ * @route POST /api/domain/:domainId/verify
+ */
+const handleVerifyDomain = async (req, res) => {
+  try {
+    const { domainId } = req.params;
+    const userId = req.user.id;
+
+    if (!mongoose.Types.ObjectId.isValid(domainId)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid domain ID",
+      });
+    }
+
+    const domain = await Domain.findOne({ _id: domainId, createdBy: userId });
+
+    if (!domain) {
+      return res.status(404).json({
+        success: false,
+        message: "Domain not found",
+      });
+    }
+
+    if (domain.isVerified) {
+      return res.status(200).json({
+        success: true,
+        message: "Domain is already verified",
+        data: formatDomain(domain),
+      });
+    }
+
+    // Another account may have verified the same hostname in the meantime
+    const claimed = await Domain.exists({
+      hostname: domain.hostname,
+      isVerified: true,
+    });
+
+    if (claimed) {
+      return res.status(409).json({
+        success: false,
+        message: "Domain has been verified by another account",
+      });
+    }
+
+    const isOwner = await verifyDomainOwnership(domain);
+    if (!isOwner) {
+      return res.status(400).json({
+        success: false,
+        message: "Verification TXT record not found",
+        data: formatDomain(domain),
+      });
+    }
+
+    domain.isVerified = true;
+    domain.verifiedAt = new Date();
+    await domain.save();
+    redirectCache.invalidateDomain(domain.hostname);
+
+    return res.status(200).json({
+      success: true,
+      message: "Domain verified successfully",
+      data: formatDomain(domain),
+    });
+  } catch (error) {
+    console.error("Verify Domain Error:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+/**
+ * Remove a branded domain; refused while active links still use it
+ * @route DELETE /api/domain/:domainId
+ */
+const handleDeleteDomain = async (req, res) => {
+  try {
+    const { domainId } = req.params;
+    const userId = req.user.id;
+
+    if (!mongoose.Types.ObjectId.isValid(domainId)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid domain ID",
+      });
+    }
+
+    const domain = await Domain.findOne({ _id: domainId, createdBy: userId });
+
+    if (!domain) {
+      return res.status(404).json({
+        success: false,
+        message: "Domain not found",
+      });
+    }
+
+    const linkCount = await URL.countDocuments({ domainId: domain._id, isDeleted: false });
+    if (linkCount > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `Domain is still used by ${linkCount} link(s); move them to another domain first`,
+      });
+    }
+
+    // Links in the recycle bin return on the default domain if restored
+    await URL.updateMany(
+      { domainId: domain._id, isDeleted: true },
+      { $set: { domainId: null } }
+    );
+    await Domain.deleteOne({ _id: domain._id });
+    redirectCache.invalidateDomain(domain.hostname);
+
+    return res.status(200).json({
+      success: true,
+      message: "Domain removed successfully",
+    });
+  } catch (error) {
+    console.error("Delete Domain Error:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+module.exports = {
+  handleAddDomain,
+  handleListDomains,
+  handleVerifyDomain,
+  handleDeleteDomain,
+};
@@ -1,5 +1,6 @@
 const Folder = require("../models/folder.model");
 const URL = require("../models/url.model");
+const { buildShortUrl } = require("../service/domain.service");
 
 /**
  * Create a new folder
@@ -275,15 +276,15 @@ const handleGetFolderDetails = async (req, res) => {
         .select("-__v")
         .sort({ createdAt: -1 })
         .skip(skip)
-        .limit(limitNum),
+        .limit(limitNum)
+        .populate("domainId", "hostname"),
       URL.countDocuments(urlQuery),
     ]);
 
     // Generate short URLs
-    const appBaseUrl = process.env.APP_BASE_URL || "http://localhost:3000";
     const urlsWithShortUrl = urls.map((url) => ({
       ...url.toObject(),
-      shortUrl: `${appBaseUrl}/r/${url.shortId}`,
+      shortUrl: buildShortUrl(url.shortId, url.domainId?.hostname),
     }));
 
     const totalPages = Math.ceil(totalUrlCount / limitNum);
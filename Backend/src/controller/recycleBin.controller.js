@@ -1,5 +1,7 @@
 const URL = require("../models/url.model");
 const Folder = require("../models/folder.model");
+const { buildShortUrl } = require("../service/domain.service");
+const redirectCache = require("../service/redirectCache.service");
 
 /**
  * List all deleted URLs and folders
@@ -30,7 +32,8 @@ const handleListRecycleBinItems = async (req, res) => {
           .select("-__v")
           .sort({ deletedAt: -1 })
           .skip(type === "url" ? skip : 0)
-          .limit(type === "url" ? limitNum : 10),
+          .limit(type === "url" ? limitNum : 10)
+          .populate("domainId", "hostname"),
         URL.countDocuments(urlQuery),
       ]);
     }
@@ -49,9 +52,6 @@ const handleListRecycleBinItems = async (req, res) => {
       ]);
     }
 
-    // Generate short URLs
-    const appBaseUrl = process.env.APP_BASE_URL || "http://localhost:3000";
-
     // Format URLs
     const formattedUrls = deletedUrls.map((url) => ({
       id: url._id,
@@ -59,7 +59,7 @@ const handleListRecycleBinItems = async (req, res) => {
       shortId: url.shortId,
       title: url.title,
       redirectURL: url.redirectURL,
-      shortUrl: `${appBaseUrl}/r/${url.shortId}`,
+      shortUrl: buildShortUrl(url.shortId, url.domainId?.hostname),
       deletedAt: url.deletedAt,
       createdAt: url.createdAt,
     }));
@@ -170,8 +170,8 @@ const handleRestoreItem = async (req, res) => {
       urlDoc.isDeleted = false;
       urlDoc.deletedAt = null;
       await urlDoc.save();
-
-      const appBaseUrl = process.env.APP_BASE_URL || "http://localhost:3000";
+      redirectCache.invalidate(urlDoc);
+      await urlDoc.populate("domainId", "hostname");
 
       return res.status(200).json({
         success: true,
@@ -181,7 +181,7 @@ const handleRestoreItem = async (req, res) => {
           type: "url",
           shortId: urlDoc.shortId,
           title: urlDoc.title,
-          shortUrl: `${appBaseUrl}/r/${urlDoc.shortId}`,
+          shortUrl: buildShortUrl(urlDoc.shortId, urlDoc.domainId?.hostname),
         },
       });
     } else if (itemType === "folder") {
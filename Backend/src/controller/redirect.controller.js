@@ -1,14 +1,36 @@
+const bcrypt = require("bcrypt");
+const crypto = require("crypto");
 const URL = require("../models/url.model");
-const VisitHistory = require("../models/visitHistory.model");
+const User = require("../models/users.model");
 const geoip = require("geoip-lite");
+const {
+  parseAcceptLanguage,
+  getEffectiveRedirectURL,
+  resolveDestination,
+  applyUtmParams,
+  applyPassthrough,
+} = require("../service/routing.service");
+const { normalizeShortId } = require("../service/shortId.service");
+const { resolveRequestDomainId } = require("../service/domain.service");
+const unlockThrottle = require("../service/unlockThrottle.service");
+const redirectCache = require("../service/redirectCache.service");
+const visitBuffer = require("../service/visitBuffer.service");
+const { isLinkPreviewFetcher, classifyVisit } = require("../service/botDetection.service");
+
+const PERMANENT_REDIRECT_TYPES = [301, 308];
+const PERMANENT_REDIRECT_MAX_AGE = 90; // seconds
 
 /**
  * Handle short URL redirect
  * @route GET /r/:shortId
+ * @route GET /r/:shortId/*rest - trailing path, for links with path passthrough
+ * @route GET /r/:shortId+ - preview page (also ?preview=1)
  */
 const handleRedirect = async (req, res) => {
   try {
-    const { shortId } = req.params;
+    // A trailing "+" (or ?preview=1) asks for the preview page instead of a redirect
+    const isPreview = req.params.shortId?.endsWith("+") || req.query.preview === "1";
+    const shortId = req.params.shortId?.replace(/\+$/, "");
 
     // 1. Validate shortId
     if (!shortId || shortId.trim() === "") {
@@ -19,72 +41,155 @@ const handleRedirect = async (req, res) => {
     }
 
     // 2. Find the URL
-    const urlDoc = await URL.findOne({
-      shortId: shortId.trim(),
-      isDeleted: false,
-    }).lean();
+    const urlDoc = await findRedirectableUrl(req, shortId);
 
     // 3. Check if URL exists
     if (!urlDoc) {
-      return res.status(404).json({
-        success: false,
+      return await sendUnavailable(req, res, null, {
+        status: 404,
         message: "URL not found",
       });
     }
 
-    // 4. Check if URL is active
-    if (!urlDoc.isActive) {
-      return res.status(410).json({
-        success: false,
-        message: "This link has been deactivated",
+    // 4. Trailing path segments only resolve for links that forward them
+    if (req.params.rest && !urlDoc.passthrough?.path) {
+      return await sendUnavailable(req, res, null, {
+        status: 404,
+        message: "URL not found",
       });
     }
 
-    // 5. Check if URL has expired
-    if (urlDoc.expirationDate && new Date(urlDoc.expirationDate) < new Date()) {
-      return res.status(410).json({
-        success: false,
-        message: "This link has expired",
+    // 5. Check if URL is active and not expired
+    const unavailable = getUnavailableReason(urlDoc);
+    if (unavailable) {
+      return await sendUnavailable(req, res, urlDoc, unavailable);
+    }
+
+    // 6. Preview page: show where the link goes, without redirecting or logging
+    if (isPreview) {
+      res.set("Cache-Control", "private, no-cache, no-store, must-revalidate");
+      return res.status(200).render("preview", {
+        title: urlDoc.title,
+        description: urlDoc.description,
+        // Don't reveal where a password-protected link goes
+        destinationHost: urlDoc.isPasswordProtected
+          ? null
+          : getHostname(getEffectiveRedirectURL(urlDoc)),
+        continueURL: buildContinueURL(req, shortId),
+        countdown: null,
       });
     }
 
-    // 6. Validate redirect URL
-    if (!isValidURL(urlDoc.redirectURL)) {
+    // 7. Link-preview fetchers (social and chat apps) get Open Graph tags instead of a redirect,
+    // and are not counted as a click
+    const hasOpenGraph = Boolean(
+      urlDoc.openGraph?.title || urlDoc.openGraph?.description || urlDoc.openGraph?.image
+    );
+    if (hasOpenGraph && isLinkPreviewFetcher(req.headers["user-agent"])) {
+      res.set("Cache-Control", "public, max-age=300");
+      return res.status(200).render("openGraph", {
+        title: urlDoc.openGraph.title || urlDoc.title || "Shared link",
+        description: urlDoc.openGraph.description || urlDoc.description || null,
+        image: urlDoc.openGraph.image || null,
+        pageURL: `${req.protocol}://${req.get("host")}${req.originalUrl}`,
+        continueURL: buildContinueURL(req, shortId),
+      });
+    }
+
+    // 8. Password-protected links show the unlock form instead
+    if (urlDoc.isPasswordProtected) {
+      return renderUnlockPage(res, 200, null);
+    }
+
+    // 9. Log the visit and redirect
+    return await sendToDestination(req, res, urlDoc);
+  } catch (error) {
+    console.error("Redirect Error:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+/**
+ * Unlock a password-protected short URL and redirect
+ * @route POST /r/:shortId
+ * @route POST /r/:shortId/*rest
+ */
+const handleUnlockRedirect = async (req, res) => {
+  try {
+    const { shortId } = req.params;
+    const { password } = req.body || {};
+
+    // Validate shortId
+    if (!shortId || shortId.trim() === "") {
       return res.status(400).json({
         success: false,
-        message: "Invalid destination URL",
+        message: "Invalid short ID",
       });
     }
 
-    // 7. Collect visitor information
-    const visitorIP = getClientIP(req);
-    const userAgent = req.headers["user-agent"] || null;
-    const deviceType = parseDeviceType(userAgent);
-    const referrer = parseReferrer(req.headers["referer"] || req.headers["referrer"]);
-    const { country, city } = getGeolocation(visitorIP);
-
-    // 8. Log visit asynchronously (don't block redirect)
-    const visitDoc = new VisitHistory({
-      urlId: urlDoc._id,
-      visitorIP: visitorIP,
-      deviceType: deviceType,
-      userAgent: userAgent,
-      referrer: referrer,
-      country: country,
-      city: city,
-      timestamp: new Date(),
-    });
+    const urlDoc = await findRedirectableUrl(req, shortId, { withPassword: true });
 
-    // Save without blocking the redirect
-    visitDoc.save().catch((error) => {
-      console.error("Error saving visit history:", error);
-    });
+    if (!urlDoc) {
+      return await sendUnavailable(req, res, null, {
+        status: 404,
+        message: "URL not found",
+      });
+    }
+
+    if (req.params.rest && !urlDoc.passthrough?.path) {
+      return await sendUnavailable(req, res, null, {
+        status: 404,
+        message: "URL not found",
+      });
+    }
+
+    const unavailable = getUnavailableReason(urlDoc);
+    if (unavailable) {
+      return await sendUnavailable(req, res, urlDoc, unavailable);
+    }
+
+    // Links without a password have nothing to unlock
+    if (!urlDoc.isPasswordProtected || !urlDoc.password) {
+      return await sendToDestination(req, res, urlDoc);
+    }
+
+    // Throttle guesses per visitor IP, plus a per-link rate that doesn't depend
+    // on the IP. req.ip only honours X-Forwarded-For from proxies trusted via
+    // TRUST_PROXY, so clients can't spoof a fresh address.
+    const throttleKey = `${urlDoc._id}:${req.ip}`;
+    const retryAfter =
+      unlockThrottle.getRetryAfter(throttleKey) ||
+      unlockThrottle.takeLinkAttempt(String(urlDoc._id));
+    if (retryAfter > 0) {
+      res.set("Retry-After", String(retryAfter));
+      return renderUnlockPage(
+        res,
+        429,
+        `Too many attempts. Try again in ${Math.ceil(retryAfter / 60)} minute(s).`
+      );
+    }
 
-    // 9. Redirect to destination URL
-    // Using 302 (temporary) for better tracking, use 301 for permanent/SEO
-    return res.redirect(302, urlDoc.redirectURL);
+    // Count the attempt before the (slow) hash check so concurrent guesses
+    // can't all slip past the limit
+    unlockThrottle.recordAttempt(throttleKey);
+
+    const isValidPassword =
+      typeof password === "string" &&
+      password.length > 0 &&
+      (await bcrypt.compare(password, urlDoc.password));
+
+    if (!isValidPassword) {
+      return renderUnlockPage(res, 401, "Incorrect password");
+    }
+
+    unlockThrottle.reset(throttleKey);
+
+    return await sendToDestination(req, res, urlDoc);
   } catch (error) {
-    console.error("Redirect Error:", error);
+    console.error("Unlock Redirect Error:", error);
     return res.status(500).json({
       success: false,
       message: "Internal server error",
@@ -92,6 +197,312 @@ const handleRedirect = async (req, res) => {
   }
 };
 
+/**
+ * Render the password form for a protected link
+ * Browsers apply form-action to the redirect that follows the POST, so it must
+ * allow the (external) destination or the unlocked redirect is blocked.
+ */
+const renderUnlockPage = (res, status, error) => {
+  res.set("Cache-Control", "private, no-cache, no-store, must-revalidate");
+  res.set(
+    "Content-Security-Policy",
+    "default-src 'none'; style-src 'unsafe-inline'; form-action 'self' https: http:; base-uri 'none'; frame-ancestors 'none'"
+  );
+  return res.status(status).render("unlock", { error });
+};
+
+/**
+ * Find a non-deleted URL by short ID or alias (case-insensitive) for redirecting,
+ * limited to links served on the domain the request came in on.
+ * Links without lookup keys (not yet migrated, or skipped by the migration over a
+ * case conflict) still resolve by their exact short ID.
+ * Plain lookups go through the redirect cache; password checks always read MongoDB.
+ */
+const findRedirectableUrl = async (req, shortId, { withPassword = false } = {}) => {
+  const key = normalizeShortId(shortId);
+  const exactShortId = shortId.trim();
+  const domainId = await resolveRequestDomainId(req);
+
+  // Cached by the short ID as typed: the exact-match fallback depends on its case
+  if (!withPassword) {
+    const cached = redirectCache.get(exactShortId, domainId);
+    if (cached !== undefined) return cached;
+  }
+
+  const query = URL.findOne({
+    $or: [
+      { shortIdKey: key },
+      { aliasKeys: key },
+      { shortId: exactShortId, shortIdKey: null },
+    ],
+    domainId,
+    isDeleted: false,
+  });
+
+  if (withPassword) {
+    query.select("+password");
+    return query.lean();
+  }
+
+  const urlDoc = await query.lean();
+  redirectCache.set(exactShortId, domainId, urlDoc);
+  return urlDoc;
+};
+
+/**
+ * The alias a visitor came in through, or null for the primary short ID
+ */
+const getAliasUsed = (req, urlDoc) => {
+  const key = normalizeShortId(req.params.shortId.replace(/\+$/, ""));
+  const index = urlDoc.aliasKeys?.indexOf(key) ?? -1;
+  return index === -1 ? null : urlDoc.aliases[index];
+};
+
+/**
+ * Check whether a URL can currently be visited
+ * @returns {Object|null} { status, message } when the link cannot be used, otherwise null
+ */
+const getUnavailableReason = (urlDoc) => {
+  if (!urlDoc.isActive) {
+    return { status: 410, message: "This link has been deactivated" };
+  }
+
+  if (urlDoc.expirationDate && new Date(urlDoc.expirationDate) < new Date()) {
+    return { status: 410, message: "This link has expired" };
+  }
+
+  // Scheduled links exist but aren't live yet
+  if (urlDoc.activeFrom && new Date(urlDoc.activeFrom) > new Date()) {
+    return {
+      status: 403,
+      message: "This link is not yet available",
+      activeFrom: urlDoc.activeFrom,
+    };
+  }
+
+  if (urlDoc.maxClicks && urlDoc.clickCount >= urlDoc.maxClicks) {
+    return { status: 410, message: "This link has reached its click limit" };
+  }
+
+  return null;
+};
+
+/**
+ * Respond for a link that cannot be visited
+ * Deactivated, expired and exhausted links (410) go to the link's fallback URL,
+ * or the owner's account-wide one. Otherwise browsers get a branded error page
+ * and API clients get JSON.
+ * @param {Object|null} urlDoc - Lean URL document, null when not found
+ * @param {Object} unavailable - { status, message, activeFrom? }
+ */
+const sendUnavailable = async (req, res, urlDoc, unavailable) => {
+  if (urlDoc && unavailable.status === 410) {
+    const fallbackURL = await getFallbackURL(urlDoc);
+    if (fallbackURL) {
+      return res.redirect(302, fallbackURL);
+    }
+  }
+
+  if (req.accepts(["json", "html"]) === "html") {
+    return res.status(unavailable.status).render("unavailable", {
+      status: unavailable.status,
+      message: unavailable.message,
+      activeFrom: unavailable.activeFrom || null,
+    });
+  }
+
+  return res.status(unavailable.status).json({
+    success: false,
+    message: unavailable.message,
+    ...(unavailable.activeFrom && { activeFrom: unavailable.activeFrom }),
+  });
+};
+
+/**
+ * Get the fallback URL for a link: its own, else the owner's account default
+ */
+const getFallbackURL = async (urlDoc) => {
+  if (isValidURL(urlDoc.fallbackURL)) {
+    return urlDoc.fallbackURL;
+  }
+
+  const owner = await User.findById(urlDoc.createdBy).select("fallbackURL").lean();
+
+  return isValidURL(owner?.fallbackURL) ? owner.fallbackURL : null;
+};
+
+/**
+ * Resolve the destination, log the visit and redirect
+ */
+const sendToDestination = async (req, res, urlDoc) => {
+  const now = new Date();
+
+  // 1. Validate redirect URL
+  if (!isValidURL(getEffectiveRedirectURL(urlDoc, now))) {
+    return res.status(400).json({
+      success: false,
+      message: "Invalid destination URL",
+    });
+  }
+
+  // Persist queued destination changes that have come into effect (no cron needed).
+  // urlDoc may be stale (cached, or edited meanwhile), so only write while those
+  // changes are still queued; otherwise the owner's newer redirectURL would be lost.
+  const dueIds = (urlDoc.scheduledDestinations || [])
+    .filter((change) => new Date(change.effectiveAt) <= now)
+    .map((change) => change._id);
+  if (dueIds.length > 0) {
+    URL.updateOne(
+      { _id: urlDoc._id, "scheduledDestinations._id": { $in: dueIds } },
+      {
+        $set: { redirectURL: getEffectiveRedirectURL(urlDoc, now) },
+        $pull: { scheduledDestinations: { effectiveAt: { $lte: now } } },
+      }
+    ).then(() => {
+      redirectCache.invalidate(urlDoc);
+    }).catch((error) => {
+      console.error("Error applying scheduled destination:", error);
+    });
+  }
+
+  // 2. Collect visitor information
+  const visitorIP = getClientIP(req);
+  const userAgent = req.headers["user-agent"] || null;
+  const deviceType = parseDeviceType(userAgent);
+  const os = parseOperatingSystem(userAgent);
+  const referrer = parseReferrer(req.headers["referer"] || req.headers["referrer"]);
+  const { country, countryCode, city } = getGeolocation(visitorIP);
+  const languages = parseAcceptLanguage(req.headers["accept-language"]);
+  const { isBot, botType } = classifyVisit(req);
+
+  // 3. Resolve destination from targeting rules and A/B split variants
+  const resolved = resolveDestination(urlDoc, {
+    countryCode,
+    os,
+    deviceType,
+    languages,
+    now,
+  });
+  const { variant, matchedRule } = resolved;
+
+  // Language a rule was chosen for, else the visitor's most preferred one
+  const language = resolved.language || languages[0]?.tag || null;
+
+  // Forward incoming query/path if the link opts in, then add UTM tags
+  const queryIndex = req.originalUrl.indexOf("?");
+  const forwardedURL = applyPassthrough(resolved.destinationURL, urlDoc.passthrough, {
+    query: queryIndex === -1 ? "" : req.originalUrl.slice(queryIndex + 1),
+    pathSegments: req.params.rest || [],
+  });
+  const destinationURL = applyUtmParams(forwardedURL, urlDoc.utm);
+
+  if (!isValidURL(destinationURL)) {
+    return res.status(400).json({
+      success: false,
+      message: "Invalid destination URL",
+    });
+  }
+
+  // 4. Count the click; click-limited links must claim one of the remaining
+  // clicks atomically so concurrent visits can't overshoot maxClicks.
+  // Bots (unfurlers, mail scanners, prefetches) are logged but never counted,
+  // so they can't use up one-time links before a human clicks.
+  if (!isBot && urlDoc.maxClicks) {
+    const claimed = await URL.findOneAndUpdate(
+      { _id: urlDoc._id, clickCount: { $lt: urlDoc.maxClicks } },
+      { $inc: { clickCount: 1 } }
+    );
+
+    if (!claimed) {
+      // Reload on the next visit so the exhausted link is refused up front
+      redirectCache.invalidate(urlDoc);
+      return await sendUnavailable(req, res, urlDoc, {
+        status: 410,
+        message: "This link has reached its click limit",
+      });
+    }
+  } else if (!isBot) {
+    URL.updateOne({ _id: urlDoc._id }, { $inc: { clickCount: 1 } }).catch((error) => {
+      console.error("Error updating click count:", error);
+    });
+  }
+
+  // 5. Decide how the visitor moves on: app bridge page, interstitial or redirect
+  const appURL = getDeepLinkURL(urlDoc.deepLink, os);
+  let outcome = "redirect";
+  if (appURL) {
+    outcome = "deep_link";
+  } else if (urlDoc.interstitial?.enabled) {
+    outcome = "interstitial";
+  }
+
+  // 6. Queue the visit for the next batch insert (doesn't block the redirect)
+  visitBuffer.enqueue({
+    urlId: urlDoc._id,
+    visitorIP: visitorIP,
+    deviceType: deviceType,
+    os: os,
+    userAgent: userAgent,
+    referrer: referrer,
+    country: country,
+    city: city,
+    language: language,
+    variant: variant ? variant.label : null,
+    alias: getAliasUsed(req, urlDoc),
+    matchedRule: matchedRule,
+    outcome: outcome,
+    isBot: isBot,
+    botType: botType,
+    timestamp: new Date(),
+  });
+
+  // 7. Mobile deep link: try the app, fall back to the web destination
+  if (outcome === "deep_link") {
+    // The bridge needs an inline script; allow just this one via a nonce
+    const nonce = crypto.randomBytes(16).toString("base64");
+    res.set("Cache-Control", "private, no-cache, no-store, must-revalidate");
+    res.set(
+      "Content-Security-Policy",
+      `default-src 'none'; script-src 'nonce-${nonce}'; style-src 'unsafe-inline'; base-uri 'none'; form-action 'none'; frame-ancestors 'none'`
+    );
+    return res.status(200).render("deepLink", {
+      title: urlDoc.title,
+      appURL,
+      fallbackURL: destinationURL,
+      timeout: urlDoc.deepLink.timeout || 1500,
+      nonce,
+    });
+  }
+
+  // 8. Interstitial mode: show the preview page, then continue after a countdown
+  if (outcome === "interstitial") {
+    res.set("Cache-Control", "private, no-cache, no-store, must-revalidate");
+    return res.status(200).render("preview", {
+      title: urlDoc.title,
+      description: urlDoc.description,
+      destinationHost: getHostname(destinationURL),
+      continueURL: destinationURL,
+      countdown: urlDoc.interstitial.countdown,
+    });
+  }
+
+  // 9. Redirect to destination URL with the link's status code (302 by default).
+  // After the unlock form POST always use 303: a 307/308 would make the browser
+  // re-send the form body (including the password) to the destination.
+  const redirectType = req.method === "POST" ? 303 : urlDoc.redirectType || 302;
+
+  // Browsers cache permanent redirects indefinitely unless told otherwise, which
+  // would skip this handler (and visit logging) on repeat visits. Keep them
+  // private and short-lived; temporary redirects are never cached.
+  if (PERMANENT_REDIRECT_TYPES.includes(redirectType)) {
+    res.set("Cache-Control", `private, max-age=${PERMANENT_REDIRECT_MAX_AGE}`);
+  } else {
+    res.set("Cache-Control", "private, no-cache, no-store, must-revalidate");
+  }
+
+  return res.redirect(redirectType, destinationURL);
+};
+
 /**
  * Get client IP address from request
  */
@@ -157,6 +568,37 @@ const parseDeviceType = (userAgent) => {
   return "desktop";
 };
 
+/**
+ * Parse operating system from user agent string
+ */
+const parseOperatingSystem = (userAgent) => {
+  if (!userAgent) return "unknown";
+
+  // iOS before macOS: iPhone/iPad user agents also mention "Mac OS X"
+  if (/iphone|ipad|ipod/i.test(userAgent)) {
+    return "ios";
+  }
+
+  // Android before Linux: Android user agents also mention "Linux"
+  if (/android/i.test(userAgent)) {
+    return "android";
+  }
+
+  if (/windows/i.test(userAgent)) {
+    return "windows";
+  }
+
+  if (/macintosh|mac os x/i.test(userAgent)) {
+    return "macos";
+  }
+
+  if (/linux|x11|cros/i.test(userAgent)) {
+    return "linux";
+  }
+
+  return "other";
+};
+
 /**
  * Parse and clean referrer URL
  */
@@ -179,6 +621,7 @@ const parseReferrer = (referrer) => {
 const getGeolocation = (ip) => {
   const result = {
     country: null,
+    countryCode: null,
     city: null,
   };
 
@@ -203,6 +646,7 @@ const getGeolocation = (ip) => {
 
     if (geo) {
       result.country = geo.country || null; // ISO 3166-1 alpha-2 country code
+      result.countryCode = geo.country || null;
       result.city = geo.city || null;
 
       // Optionally expand country code to full name
@@ -278,6 +722,45 @@ const getCountryName = (countryCode) => {
   return countries[countryCode] || null;
 };
 
+/**
+ * Get the app URL to try for the visitor's platform, if the link has one
+ */
+const getDeepLinkURL = (deepLink, os) => {
+  if (!deepLink) return null;
+
+  if (os === "ios") return deepLink.iosURL || null;
+  if (os === "android") return deepLink.androidURL || null;
+
+  return null;
+};
+
+/**
+ * Get the hostname of a URL for display
+ */
+const getHostname = (urlString) => {
+  try {
+    return new globalThis.URL(urlString).hostname;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Build the short URL path a preview page continues to (no "+" or preview flag)
+ */
+const buildContinueURL = (req, shortId) => {
+  const segments = [shortId, ...(req.params.rest || [])].map((segment) =>
+    encodeURIComponent(segment)
+  );
+
+  const queryIndex = req.originalUrl.indexOf("?");
+  const params = new URLSearchParams(queryIndex === -1 ? "" : req.originalUrl.slice(queryIndex + 1));
+  params.delete("preview");
+  const query = params.toString();
+
+  return `${req.baseUrl}/${segments.join("/")}${query ? `?${query}` : ""}`;
+};
+
 /**
  * Validate URL format
  */
@@ -292,4 +775,4 @@ const isValidURL = (urlString) => {
   }
 };
 
-module.exports = { handleRedirect };
\ No newline at end of file
+module.exports = { handleRedirect, handleUnlockRedirect };
\ No newline at end of file
@@ -1,21 +1,198 @@
+const bcrypt = require("bcrypt");
+const mongoose = require("mongoose");
 const URL = require("../models/url.model");
 const Folder = require("../models/folder.model");
-const { nanoid: generateNanoId } = require("nanoid");
+const Domain = require("../models/domain.model");
+const User = require("../models/users.model");
+const URLRevision = require("../models/urlRevision.model");
+const config = require("../config/index");
+const {
+  normalizeDestinationURL,
+  validateVariants,
+  validateGeoRules,
+  validateDeviceRules,
+  validateLanguageRules,
+  isValidTimezone,
+  validateScheduleRules,
+  validateUtm,
+  validatePassthrough,
+  getEffectiveRedirectURL,
+  applyDueDestinationChanges,
+} = require("../service/routing.service");
+const { snapshotUrl, recordRevision } = require("../service/revision.service");
+const { normalizeShortId, isReservedShortId } = require("../service/shortId.service");
+const {
+  validateShortIdStrategy,
+  generateUniqueShortId,
+} = require("../service/shortIdGenerator.service");
+const { buildShortUrl } = require("../service/domain.service");
+const redirectCache = require("../service/redirectCache.service");
+
+const REDIRECT_TYPES = [301, 302, 307, 308];
+const SHORT_ID_PATTERN = /^[a-zA-Z0-9_-]{3,20}$/;
+const MAX_ALIASES = 10;
 
 /**
- * Generate a unique short ID
+ * Check whether an ID is already used as a short ID or alias (case-insensitive)
+ * @param {ObjectId} [excludeUrlId] - link to ignore, e.g. the one being edited
  */
-const generateUniqueShortId = async (length = 8) => {
-  let isUnique = false;
-  let generatedId;
-
-  while (!isUnique) {
-    generatedId = generateNanoId(length);
-    const exists = await URL.exists({ shortId: generatedId });
-    if (!exists) isUnique = true;
+const isShortIdTaken = async (id, excludeUrlId = null) => {
+  const key = normalizeShortId(id);
+  const query = { $or: [{ shortIdKey: key }, { aliasKeys: key }] };
+  if (excludeUrlId) query._id = { $ne: excludeUrlId };
+
+  return Boolean(await URL.exists(query));
+};
+
+/**
+ * Validate alias short IDs from a create/edit request body
+ * Checks format and duplicates within the link; availability is checked separately.
+ * @returns {Object} { error } on failure, { value } with the alias list on success
+ */
+const validateAliases = (aliases, shortId) => {
+  if (aliases === null) return { value: [] };
+
+  if (!Array.isArray(aliases)) {
+    return { error: "Aliases must be an array" };
+  }
+
+  if (aliases.length > MAX_ALIASES) {
+    return { error: `A link can have at most ${MAX_ALIASES} aliases` };
+  }
+
+  const seen = new Set([shortId.toLowerCase()]);
+  for (const alias of aliases) {
+    if (typeof alias !== "string" || !SHORT_ID_PATTERN.test(alias)) {
+      return { error: "Aliases must be 3-20 characters (letters, numbers, dashes, underscores)" };
+    }
+
+    if (isReservedShortId(alias)) {
+      return { error: `"${alias}" is a reserved word and can't be used as an alias` };
+    }
+
+    if (seen.has(alias.toLowerCase())) {
+      return { error: `Alias "${alias}" duplicates the short ID or another alias` };
+    }
+    seen.add(alias.toLowerCase());
+  }
+
+  return { value: aliases };
+};
+
+/**
+ * Find the first alias already used by another link
+ * @returns {Promise<string|null>}
+ */
+const findTakenAlias = async (aliases, excludeUrlId = null) => {
+  for (const alias of aliases) {
+    if (await isShortIdTaken(alias, excludeUrlId)) return alias;
+  }
+  return null;
+};
+
+/**
+ * Validate interstitial settings from a create/edit request body
+ * @returns {Object} { error } on failure, { value } with normalized settings on success
+ */
+const validateInterstitial = (interstitial) => {
+  if (interstitial === null) return { value: { enabled: false, countdown: 5 } };
+
+  if (typeof interstitial !== "object" || Array.isArray(interstitial)) {
+    return { error: "Interstitial settings must be an object" };
+  }
+
+  const countdown = interstitial.countdown ?? 5;
+  if (!Number.isInteger(Number(countdown)) || countdown < 0 || countdown > 30) {
+    return { error: "Interstitial countdown must be 0-30 seconds" };
+  }
+
+  return {
+    value: {
+      enabled: Boolean(interstitial.enabled),
+      countdown: Number(countdown),
+    },
+  };
+};
+
+/**
+ * Validate Open Graph overrides from a create/edit request body
+ * @returns {Object} { error } on failure, { value } with normalized fields on success
+ */
+const validateOpenGraph = (openGraph) => {
+  if (openGraph === null) return { value: { title: null, description: null, image: null } };
+
+  if (typeof openGraph !== "object" || Array.isArray(openGraph)) {
+    return { error: "Open Graph settings must be an object" };
+  }
+
+  const { title, description, image } = openGraph;
+
+  if (title && (typeof title !== "string" || title.trim().length > 200)) {
+    return { error: "Open Graph title must be at most 200 characters" };
+  }
+
+  if (description && (typeof description !== "string" || description.trim().length > 500)) {
+    return { error: "Open Graph description must be at most 500 characters" };
+  }
+
+  let normalizedImage = null;
+  if (image) {
+    normalizedImage = normalizeDestinationURL(image);
+    if (!normalizedImage || !/^https?:/.test(normalizedImage)) {
+      return { error: "Open Graph image must be a valid http(s) URL" };
+    }
+  }
+
+  return {
+    value: {
+      title: title?.trim() || null,
+      description: description?.trim() || null,
+      image: normalizedImage,
+    },
+  };
+};
+
+/**
+ * Validate mobile deep-link settings from a create/edit request body
+ * iosURL/androidURL may be custom schemes (myapp://...) or universal/app links.
+ * @returns {Object} { error } on failure, { value } with normalized settings on success
+ */
+const validateDeepLink = (deepLink) => {
+  if (deepLink === null) return { value: { iosURL: null, androidURL: null, timeout: 1500 } };
+
+  if (typeof deepLink !== "object" || Array.isArray(deepLink)) {
+    return { error: "Deep link settings must be an object" };
+  }
+
+  const value = { iosURL: null, androidURL: null, timeout: 1500 };
+
+  for (const field of ["iosURL", "androidURL"]) {
+    const appURL = deepLink[field];
+    if (!appURL) continue;
+
+    let parsed;
+    try {
+      parsed = new globalThis.URL(String(appURL).trim());
+    } catch {
+      return { error: `Invalid ${field}: must be an app scheme or https URL` };
+    }
+
+    if (["javascript:", "data:", "vbscript:", "file:"].includes(parsed.protocol)) {
+      return { error: `Invalid ${field}: ${parsed.protocol} URLs are not allowed` };
+    }
+
+    value[field] = String(appURL).trim();
+  }
+
+  if (deepLink.timeout !== undefined && deepLink.timeout !== null) {
+    const timeout = Number(deepLink.timeout);
+    if (!Number.isInteger(timeout) || timeout < 500 || timeout > 10000) {
+      return { error: "Deep link timeout must be 500-10000 milliseconds" };
+    }
+    value.timeout = timeout;
   }
 
-  return generatedId;
+  return { value };
 };
 
 /**
@@ -29,10 +206,31 @@ const handleCreateShortURL = async (req, res) => {
       title,
       redirectURL,
       customShortId,
+      shortIdStrategy,
+      confusableSafe,
+      aliases,
       folderId,
+      domainId,
       isActive = true,
       expirationDate,
       neverExpire = false,
+      activeFrom,
+      variants,
+      geoRules,
+      deviceRules,
+      password,
+      maxClicks,
+      fallbackURL,
+      utm,
+      passthrough,
+      redirectType,
+      description,
+      interstitial,
+      openGraph,
+      deepLink,
+      languageRules,
+      scheduleRules,
+      scheduleTimezone,
     } = req.body;
 
     // Validate redirect URL
@@ -64,7 +262,7 @@ const handleCreateShortURL = async (req, res) => {
 
     // Handle custom short ID
     if (customShortId) {
-      const isValid = /^[a-zA-Z0-9_-]{3,20}$/.test(customShortId);
+      const isValid = SHORT_ID_PATTERN.test(customShortId);
       if (!isValid) {
         return res.status(400).json({
           success: false,
@@ -72,9 +270,14 @@ const handleCreateShortURL = async (req, res) => {
         });
       }
 
-      const exists = await URL.findOne({
-        shortId: { $regex: new RegExp(`^${customShortId}$`, "i") },
-      });
+      if (isReservedShortId(customShortId)) {
+        return res.status(400).json({
+          success: false,
+          message: `"${customShortId}" is a reserved word and can't be used as a short ID`,
+        });
+      }
+
+      const exists = await isShortIdTaken(customShortId);
 
       if (exists) {
         return res.status(409).json({
@@ -85,7 +288,52 @@ const handleCreateShortURL = async (req, res) => {
 
       finalShortId = customShortId;
     } else {
-      finalShortId = await generateUniqueShortId();
+      // Strategy: request body, then the account default, then random
+      let strategySettings = null;
+      if (shortIdStrategy !== undefined && shortIdStrategy !== null) {
+        const { error, value } = validateShortIdStrategy(shortIdStrategy);
+        if (error) {
+          return res.status(400).json({ success: false, message: error });
+        }
+        strategySettings = value;
+      } else {
+        const owner = await User.findById(userId).select("shortIdStrategy").lean();
+        strategySettings = owner?.shortIdStrategy || null;
+      }
+
+      // Per-request confusableSafe overrides the server-wide default
+      finalShortId = await generateUniqueShortId({
+        strategy: strategySettings?.strategy,
+        length: strategySettings?.length,
+        alphabet: strategySettings?.alphabet,
+        confusableSafe: Boolean(confusableSafe ?? config.confusableSafeShortIds),
+        redirectURL: normalizedURL,
+      });
+
+      if (!finalShortId) {
+        return res.status(503).json({
+          success: false,
+          message: "Could not generate a unique short ID, please retry or choose a custom ID",
+        });
+      }
+    }
+
+    // Validate aliases
+    let finalAliases = [];
+    if (aliases !== undefined) {
+      const { error, value } = validateAliases(aliases, finalShortId);
+      if (error) {
+        return res.status(400).json({ success: false, message: error });
+      }
+
+      const takenAlias = await findTakenAlias(value);
+      if (takenAlias) {
+        return res.status(409).json({
+          success: false,
+          message: `Alias "${takenAlias}" is already in use`,
+        });
+      }
+      finalAliases = value;
     }
 
     // Validate folder if provided
@@ -104,6 +352,23 @@ const handleCreateShortURL = async (req, res) => {
       }
     }
 
+    // Validate branded domain if provided
+    let domain = null;
+    if (domainId) {
+      domain = await Domain.findOne({
+        _id: domainId,
+        createdBy: userId,
+        isVerified: true,
+      });
+
+      if (!domain) {
+        return res.status(404).json({
+          success: false,
+          message: "Domain not found or not verified",
+        });
+      }
+    }
+
     // Handle expiration date
     let finalExpirationDate = null;
     if (!neverExpire && expirationDate) {
@@ -123,21 +388,255 @@ const handleCreateShortURL = async (req, res) => {
       finalExpirationDate = date;
     }
 
+    // Handle scheduled activation
+    let finalActiveFrom = null;
+    if (activeFrom) {
+      const date = new Date(activeFrom);
+      if (isNaN(date.getTime())) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid activation date format",
+        });
+      }
+      if (finalExpirationDate && date >= finalExpirationDate) {
+        return res.status(400).json({
+          success: false,
+          message: "Activation date must be before the expiration date",
+        });
+      }
+      finalActiveFrom = date;
+    }
+
+    // Validate preview description
+    if (description && (typeof description !== "string" || description.trim().length > 500)) {
+      return res.status(400).json({
+        success: false,
+        message: "Description must be at most 500 characters",
+      });
+    }
+
+    // Validate interstitial settings
+    let finalInterstitial;
+    if (interstitial !== undefined) {
+      const { error, value } = validateInterstitial(interstitial);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error,
+        });
+      }
+      finalInterstitial = value;
+    }
+
+    // Validate Open Graph overrides for social previews
+    let finalOpenGraph;
+    if (openGraph !== undefined) {
+      const { error, value } = validateOpenGraph(openGraph);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error,
+        });
+      }
+      finalOpenGraph = value;
+    }
+
+    // Validate mobile deep-link settings
+    let finalDeepLink;
+    if (deepLink !== undefined) {
+      const { error, value } = validateDeepLink(deepLink);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error,
+        });
+      }
+      finalDeepLink = value;
+    }
+
+    // Validate redirect status code
+    let finalRedirectType = 302;
+    if (redirectType !== undefined && redirectType !== null) {
+      finalRedirectType = Number(redirectType);
+      if (!REDIRECT_TYPES.includes(finalRedirectType)) {
+        return res.status(400).json({
+          success: false,
+          message: `Redirect type must be one of: ${REDIRECT_TYPES.join(", ")}`,
+        });
+      }
+    }
+
+    // Validate fallback URL for inactive/expired/exhausted links
+    let finalFallbackURL = null;
+    if (fallbackURL) {
+      finalFallbackURL = normalizeDestinationURL(fallbackURL);
+      if (!finalFallbackURL) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid fallback URL format",
+        });
+      }
+    }
+
+    // Handle click limit
+    let finalMaxClicks = null;
+    if (maxClicks !== undefined && maxClicks !== null && maxClicks !== "") {
+      const limit = Number(maxClicks);
+      if (!Number.isInteger(limit) || limit < 1) {
+        return res.status(400).json({
+          success: false,
+          message: "Max clicks must be a positive whole number",
+        });
+      }
+      finalMaxClicks = limit;
+    }
+
+    // Validate UTM tags
+    let finalUtm;
+    if (utm !== undefined) {
+      const { error, value } = validateUtm(utm);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error,
+        });
+      }
+      finalUtm = value;
+    }
+
+    // Validate query/path passthrough settings
+    let finalPassthrough;
+    if (passthrough !== undefined) {
+      const { error, value } = validatePassthrough(passthrough);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error,
+        });
+      }
+      finalPassthrough = value;
+    }
+
+    // Validate A/B split variants
+    let finalVariants = [];
+    if (variants !== undefined) {
+      const { error, value } = validateVariants(variants);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error,
+        });
+      }
+      finalVariants = value;
+    }
+
+    // Validate geo-targeting rules
+    let finalGeoRules = [];
+    if (geoRules !== undefined) {
+      const { error, value } = validateGeoRules(geoRules);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error,
+        });
+      }
+      finalGeoRules = value;
+    }
+
+    // Validate device/OS targeting rules
+    let finalDeviceRules = [];
+    if (deviceRules !== undefined) {
+      const { error, value } = validateDeviceRules(deviceRules);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error,
+        });
+      }
+      finalDeviceRules = value;
+    }
+
+    // Validate language rules
+    let finalLanguageRules = [];
+    if (languageRules !== undefined) {
+      const { error, value } = validateLanguageRules(languageRules);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error,
+        });
+      }
+      finalLanguageRules = value;
+    }
+
+    // Validate time-of-day/day-of-week rules and their timezone
+    let finalScheduleRules = [];
+    if (scheduleRules !== undefined) {
+      const { error, value } = validateScheduleRules(scheduleRules);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error,
+        });
+      }
+      finalScheduleRules = value;
+    }
+
+    if (scheduleTimezone !== undefined && !isValidTimezone(scheduleTimezone)) {
+      return res.status(400).json({
+        success: false,
+        message: "Schedule timezone must be a valid IANA timezone (e.g. Europe/Berlin)",
+      });
+    }
+
+    // Hash link password, if provided
+    let hashedPassword = null;
+    if (password) {
+      if (typeof password !== "string" || password.length < 4) {
+        return res.status(400).json({
+          success: false,
+          message: "Link password must be at least 4 characters long",
+        });
+      }
+      const saltRounds = 10;
+      hashedPassword = await bcrypt.hash(password, saltRounds);
+    }
+
     // Create new URL
     const newUrl = await URL.create({
       shortId: finalShortId,
+      aliases: finalAliases,
       title: title?.trim() || null,
+      description: description?.trim() || null,
       redirectURL: normalizedURL,
+      redirectType: finalRedirectType,
+      interstitial: finalInterstitial,
+      openGraph: finalOpenGraph,
+      deepLink: finalDeepLink,
+      utm: finalUtm,
+      passthrough: finalPassthrough,
+      variants: finalVariants,
+      geoRules: finalGeoRules,
+      deviceRules: finalDeviceRules,
+      languageRules: finalLanguageRules,
+      scheduleRules: finalScheduleRules,
+      scheduleTimezone: scheduleTimezone || "UTC",
+      password: hashedPassword,
+      isPasswordProtected: Boolean(hashedPassword),
       createdBy: userId,
       folderId: folderId || null,
+      domainId: domain ? domain._id : null,
       isActive,
       expirationDate: finalExpirationDate,
+      activeFrom: finalActiveFrom,
+      maxClicks: finalMaxClicks,
+      fallbackURL: finalFallbackURL,
       isDeleted: false,
       deletedAt: null,
     });
 
-    // Generate short URL
-    const appBaseUrl = process.env.APP_BASE_URL || "http://localhost:3000";
+    // Drop misses cached for the new short ID or aliases
+    redirectCache.invalidate(newUrl);
 
     return res.status(201).json({
       success: true,
@@ -145,12 +644,31 @@ const handleCreateShortURL = async (req, res) => {
       data: {
         id: newUrl._id,
         shortId: newUrl.shortId,
+        aliases: newUrl.aliases,
         title: newUrl.title,
+        description: newUrl.description,
         redirectURL: newUrl.redirectURL,
-        shortUrl: `${appBaseUrl}/r/${finalShortId}`,
+        redirectType: newUrl.redirectType,
+        interstitial: newUrl.interstitial,
+        openGraph: newUrl.openGraph,
+        deepLink: newUrl.deepLink,
+        utm: newUrl.utm,
+        passthrough: newUrl.passthrough,
+        variants: newUrl.variants,
+        geoRules: newUrl.geoRules,
+        deviceRules: newUrl.deviceRules,
+        languageRules: newUrl.languageRules,
+        scheduleRules: newUrl.scheduleRules,
+        scheduleTimezone: newUrl.scheduleTimezone,
+        isPasswordProtected: newUrl.isPasswordProtected,
+        shortUrl: buildShortUrl(finalShortId, domain?.hostname),
         folderId: newUrl.folderId,
+        domainId: newUrl.domainId,
         isActive: newUrl.isActive,
         expirationDate: newUrl.expirationDate,
+        activeFrom: newUrl.activeFrom,
+        maxClicks: newUrl.maxClicks,
+        fallbackURL: newUrl.fallbackURL,
         createdAt: newUrl.createdAt,
       },
     });
@@ -179,6 +697,11 @@ const handleListUserUrls = async (req, res) => {
       startDate,
       endDate,
       showDeleted = false,
+      utmSource,
+      utmMedium,
+      utmCampaign,
+      utmTerm,
+      utmContent,
     } = req.query;
 
     // Build query
@@ -207,6 +730,20 @@ const handleListUserUrls = async (req, res) => {
       query.isActive = false;
     }
 
+    // Filter by UTM tags (exact match)
+    const utmFilters = {
+      "utm.source": utmSource,
+      "utm.medium": utmMedium,
+      "utm.campaign": utmCampaign,
+      "utm.term": utmTerm,
+      "utm.content": utmContent,
+    };
+    Object.entries(utmFilters).forEach(([field, value]) => {
+      if (typeof value === "string" && value.trim() !== "") {
+        query[field] = value.trim();
+      }
+    });
+
     // Date range filter
     if (startDate || endDate) {
       query.createdAt = {};
@@ -232,15 +769,16 @@ const handleListUserUrls = async (req, res) => {
         .sort({ createdAt: -1 })
         .skip(skip)
         .limit(limitNum)
-        .populate("folderId", "name"),
+        .populate("folderId", "name")
+        .populate("domainId", "hostname"),
       URL.countDocuments(query),
     ]);
 
     // Generate short URLs
-    const appBaseUrl = process.env.APP_BASE_URL || "http://localhost:3000";
     const urlsWithShortUrl = urls.map((url) => ({
       ...url.toObject(),
-      shortUrl: `${appBaseUrl}/r/${url.shortId}`,
+      redirectURL: getEffectiveRedirectURL(url),
+      shortUrl: buildShortUrl(url.shortId, url.domainId?.hostname),
     }));
 
     const totalPages = Math.ceil(totalCount / limitNum);
@@ -279,10 +817,29 @@ const handleEditUrl = async (req, res) => {
       title,
       redirectURL,
       newShortId,
+      aliases,
       folderId,
+      domainId,
       isActive,
       expirationDate,
       neverExpire,
+      activeFrom,
+      variants,
+      geoRules,
+      deviceRules,
+      password,
+      maxClicks,
+      fallbackURL,
+      utm,
+      passthrough,
+      redirectType,
+      description,
+      interstitial,
+      openGraph,
+      deepLink,
+      languageRules,
+      scheduleRules,
+      scheduleTimezone,
     } = req.body;
 
     // Find URL
@@ -299,11 +856,65 @@ const handleEditUrl = async (req, res) => {
       });
     }
 
+    // Fold in queued destination changes that are already due, so a
+    // redirectURL set below replaces the destination actually in effect
+    applyDueDestinationChanges(urlDoc);
+
+    // Snapshot tracked fields for the edit history
+    const before = snapshotUrl(urlDoc);
+
     // Update title
     if (title !== undefined) {
       urlDoc.title = title?.trim() || null;
     }
 
+    // Update preview description
+    if (description !== undefined) {
+      if (description && (typeof description !== "string" || description.trim().length > 500)) {
+        return res.status(400).json({
+          success: false,
+          message: "Description must be at most 500 characters",
+        });
+      }
+      urlDoc.description = description?.trim() || null;
+    }
+
+    // Update interstitial settings (null turns it off)
+    if (interstitial !== undefined) {
+      const { error, value } = validateInterstitial(interstitial);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error,
+        });
+      }
+      urlDoc.interstitial = value;
+    }
+
+    // Update Open Graph overrides (replaces all fields; null clears them)
+    if (openGraph !== undefined) {
+      const { error, value } = validateOpenGraph(openGraph);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error,
+        });
+      }
+      urlDoc.openGraph = value;
+    }
+
+    // Update mobile deep-link settings (replaces all fields; null clears them)
+    if (deepLink !== undefined) {
+      const { error, value } = validateDeepLink(deepLink);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error,
+        });
+      }
+      urlDoc.deepLink = value;
+    }
+
     // Update redirect URL
     if (redirectURL) {
       const trimmedURL = redirectURL.trim();
@@ -322,40 +933,197 @@ const handleEditUrl = async (req, res) => {
       }
     }
 
-    // Update short ID
-    if (newShortId && newShortId !== shortId) {
-      const isValid = /^[a-zA-Z0-9_-]{3,20}$/.test(newShortId);
-      if (!isValid) {
+    // Update redirect status code (null resets to 302)
+    if (redirectType !== undefined) {
+      const newRedirectType = redirectType === null ? 302 : Number(redirectType);
+      if (!REDIRECT_TYPES.includes(newRedirectType)) {
         return res.status(400).json({
           success: false,
-          message: "Short ID must be 3-20 characters (letters, numbers, dashes, underscores)",
+          message: `Redirect type must be one of: ${REDIRECT_TYPES.join(", ")}`,
         });
       }
+      urlDoc.redirectType = newRedirectType;
+    }
 
-      const exists = await URL.findOne({
-        shortId: { $regex: new RegExp(`^${newShortId}$`, "i") },
-      });
-
-      if (exists) {
-        return res.status(409).json({
+    // Update UTM tags (replaces the whole set; null clears them)
+    if (utm !== undefined) {
+      const { error, value } = validateUtm(utm);
+      if (error) {
+        return res.status(400).json({
           success: false,
-          message: "Short ID already in use",
+          message: error,
         });
       }
-
-      urlDoc.shortId = newShortId;
+      urlDoc.utm = value;
     }
 
-    // Update folder assignment
-    if (folderId !== undefined) {
-      if (folderId) {
-        const folder = await Folder.findOne({
-          _id: folderId,
-          createdBy: userId,
-          isDeleted: false,
+    // Update query/path passthrough (null turns it off)
+    if (passthrough !== undefined) {
+      const { error, value } = validatePassthrough(passthrough);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error,
         });
+      }
+      urlDoc.passthrough = value;
+    }
 
-        if (!folder) {
+    // Update A/B split variants (null or [] removes the split)
+    if (variants !== undefined) {
+      const { error, value } = validateVariants(variants);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error,
+        });
+      }
+      // A split would override queued destination changes, which only move redirectURL
+      if (value.length > 0 && urlDoc.scheduledDestinations.length > 0) {
+        return res.status(409).json({
+          success: false,
+          message: "Cancel the scheduled destination changes before adding A/B variants",
+        });
+      }
+      urlDoc.variants = value;
+    }
+
+    // Update geo-targeting rules (null or [] removes them)
+    if (geoRules !== undefined) {
+      const { error, value } = validateGeoRules(geoRules);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error,
+        });
+      }
+      urlDoc.geoRules = value;
+    }
+
+    // Update device/OS targeting rules (null or [] removes them)
+    if (deviceRules !== undefined) {
+      const { error, value } = validateDeviceRules(deviceRules);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error,
+        });
+      }
+      urlDoc.deviceRules = value;
+    }
+
+    // Update language rules (null or [] removes them)
+    if (languageRules !== undefined) {
+      const { error, value } = validateLanguageRules(languageRules);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error,
+        });
+      }
+      urlDoc.languageRules = value;
+    }
+
+    // Update time-of-day/day-of-week rules (null or [] removes them)
+    if (scheduleRules !== undefined) {
+      const { error, value } = validateScheduleRules(scheduleRules);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error,
+        });
+      }
+      urlDoc.scheduleRules = value;
+    }
+
+    if (scheduleTimezone !== undefined) {
+      if (!isValidTimezone(scheduleTimezone)) {
+        return res.status(400).json({
+          success: false,
+          message: "Schedule timezone must be a valid IANA timezone (e.g. Europe/Berlin)",
+        });
+      }
+      urlDoc.scheduleTimezone = scheduleTimezone;
+    }
+
+    // Update link password (null or "" removes protection)
+    if (password !== undefined) {
+      if (password) {
+        if (typeof password !== "string" || password.length < 4) {
+          return res.status(400).json({
+            success: false,
+            message: "Link password must be at least 4 characters long",
+          });
+        }
+        const saltRounds = 10;
+        urlDoc.password = await bcrypt.hash(password, saltRounds);
+        urlDoc.isPasswordProtected = true;
+      } else {
+        urlDoc.password = null;
+        urlDoc.isPasswordProtected = false;
+      }
+    }
+
+    // Update short ID
+    if (newShortId && newShortId !== shortId) {
+      const isValid = SHORT_ID_PATTERN.test(newShortId);
+      if (!isValid) {
+        return res.status(400).json({
+          success: false,
+          message: "Short ID must be 3-20 characters (letters, numbers, dashes, underscores)",
+        });
+      }
+
+      if (isReservedShortId(newShortId)) {
+        return res.status(400).json({
+          success: false,
+          message: `"${newShortId}" is a reserved word and can't be used as a short ID`,
+        });
+      }
+
+      // Excludes this link so case-only renames go through; its own aliases
+      // are checked below unless the request replaces them
+      const exists =
+        (await isShortIdTaken(newShortId, urlDoc._id)) ||
+        (aliases === undefined && urlDoc.aliasKeys.includes(normalizeShortId(newShortId)));
+
+      if (exists) {
+        return res.status(409).json({
+          success: false,
+          message: "Short ID already in use",
+        });
+      }
+
+      urlDoc.shortId = newShortId;
+    }
+
+    // Replace aliases (null or [] removes them all)
+    if (aliases !== undefined) {
+      const { error, value } = validateAliases(aliases, urlDoc.shortId);
+      if (error) {
+        return res.status(400).json({ success: false, message: error });
+      }
+
+      const takenAlias = await findTakenAlias(value, urlDoc._id);
+      if (takenAlias) {
+        return res.status(409).json({
+          success: false,
+          message: `Alias "${takenAlias}" is already in use`,
+        });
+      }
+      urlDoc.aliases = value;
+    }
+
+    // Update folder assignment
+    if (folderId !== undefined) {
+      if (folderId) {
+        const folder = await Folder.findOne({
+          _id: folderId,
+          createdBy: userId,
+          isDeleted: false,
+        });
+
+        if (!folder) {
           return res.status(404).json({
             success: false,
             message: "Folder not found",
@@ -367,6 +1135,27 @@ const handleEditUrl = async (req, res) => {
       }
     }
 
+    // Move to a branded domain (null moves back to the default domain)
+    if (domainId !== undefined) {
+      if (domainId) {
+        const domain = await Domain.findOne({
+          _id: domainId,
+          createdBy: userId,
+          isVerified: true,
+        });
+
+        if (!domain) {
+          return res.status(404).json({
+            success: false,
+            message: "Domain not found or not verified",
+          });
+        }
+        urlDoc.domainId = domain._id;
+      } else {
+        urlDoc.domainId = null;
+      }
+    }
+
     // Update active status
     if (isActive !== undefined) {
       urlDoc.isActive = Boolean(isActive);
@@ -390,16 +1179,81 @@ const handleEditUrl = async (req, res) => {
       }
     }
 
+    // Update scheduled activation (null or "" makes the link live immediately)
+    if (activeFrom !== undefined) {
+      if (activeFrom) {
+        const date = new Date(activeFrom);
+        if (isNaN(date.getTime())) {
+          return res.status(400).json({
+            success: false,
+            message: "Invalid activation date format",
+          });
+        }
+        urlDoc.activeFrom = date;
+      } else {
+        urlDoc.activeFrom = null;
+      }
+    }
+
+    if (
+      urlDoc.activeFrom &&
+      urlDoc.expirationDate &&
+      urlDoc.activeFrom >= urlDoc.expirationDate
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "Activation date must be before the expiration date",
+      });
+    }
+
+    // Update click limit (null or "" removes it)
+    if (maxClicks !== undefined) {
+      if (maxClicks === null || maxClicks === "") {
+        urlDoc.maxClicks = null;
+      } else {
+        const limit = Number(maxClicks);
+        if (!Number.isInteger(limit) || limit < 1) {
+          return res.status(400).json({
+            success: false,
+            message: "Max clicks must be a positive whole number",
+          });
+        }
+        urlDoc.maxClicks = limit;
+      }
+    }
+
+    // Update fallback URL (null or "" removes it)
+    if (fallbackURL !== undefined) {
+      if (fallbackURL) {
+        const normalizedFallbackURL = normalizeDestinationURL(fallbackURL);
+        if (!normalizedFallbackURL) {
+          return res.status(400).json({
+            success: false,
+            message: "Invalid fallback URL format",
+          });
+        }
+        urlDoc.fallbackURL = normalizedFallbackURL;
+      } else {
+        urlDoc.fallbackURL = null;
+      }
+    }
+
     await urlDoc.save();
+    redirectCache.invalidate(urlDoc);
+    await recordRevision(urlDoc, before, { changedBy: userId });
 
-    const appBaseUrl = process.env.APP_BASE_URL || "http://localhost:3000";
+    await urlDoc.populate("domainId", "hostname");
+
+    // Never echo the password hash back
+    const updatedUrl = urlDoc.toObject();
+    delete updatedUrl.password;
 
     return res.status(200).json({
       success: true,
       message: "URL updated successfully",
       data: {
-        ...urlDoc.toObject(),
-        shortUrl: `${appBaseUrl}/r/${urlDoc.shortId}`,
+        ...updatedUrl,
+        shortUrl: buildShortUrl(urlDoc.shortId, urlDoc.domainId?.hostname),
       },
     });
   } catch (error) {
@@ -453,6 +1307,7 @@ const handleToggleUrlStatus = async (req, res) => {
 
     urlDoc.isActive = newStatus;
     await urlDoc.save();
+    redirectCache.invalidate(urlDoc);
 
     return res.status(200).json({
       success: true,
@@ -493,6 +1348,7 @@ const handleSoftDeleteUrl = async (req, res) => {
     urlDoc.isDeleted = true;
     urlDoc.deletedAt = new Date();
     await urlDoc.save();
+    redirectCache.invalidate(urlDoc);
 
     return res.status(200).json({
       success: true,
@@ -532,15 +1388,16 @@ const handleRestoreUrl = async (req, res) => {
     urlDoc.isDeleted = false;
     urlDoc.deletedAt = null;
     await urlDoc.save();
+    redirectCache.invalidate(urlDoc);
 
-    const appBaseUrl = process.env.APP_BASE_URL || "http://localhost:3000";
+    await urlDoc.populate("domainId", "hostname");
 
     return res.status(200).json({
       success: true,
       message: "URL restored successfully",
       data: {
         ...urlDoc.toObject(),
-        shortUrl: `${appBaseUrl}/r/${urlDoc.shortId}`,
+        shortUrl: buildShortUrl(urlDoc.shortId, urlDoc.domainId?.hostname),
       },
     });
   } catch (error) {
@@ -575,6 +1432,7 @@ const handlePermanentDeleteUrl = async (req, res) => {
     }
 
     await URL.deleteOne({ _id: urlDoc._id });
+    redirectCache.invalidate(urlDoc);
 
     return res.status(200).json({
       success: true,
@@ -589,6 +1447,415 @@ const handlePermanentDeleteUrl = async (req, res) => {
   }
 };
 
+/**
+ * List pending destination changes for a URL
+ * @route GET /api/url/:shortId/scheduled-destinations
+ */
+const handleListScheduledDestinations = async (req, res) => {
+  try {
+    const { shortId } = req.params;
+    const userId = req.user.id;
+
+    const urlDoc = await URL.findOne({
+      shortId,
+      createdBy: userId,
+      isDeleted: false,
+    });
+
+    if (!urlDoc) {
+      return res.status(404).json({
+        success: false,
+        message: "URL not found",
+      });
+    }
+
+    if (applyDueDestinationChanges(urlDoc)) {
+      await urlDoc.save();
+    }
+
+    const scheduled = [...urlDoc.scheduledDestinations]
+      .sort((a, b) => a.effectiveAt - b.effectiveAt)
+      .map((change) => ({
+        id: change._id,
+        redirectURL: change.redirectURL,
+        effectiveAt: change.effectiveAt,
+        createdAt: change.createdAt,
+      }));
+
+    return res.status(200).json({
+      success: true,
+      message: "Scheduled destinations fetched successfully",
+      data: {
+        currentRedirectURL: urlDoc.redirectURL,
+        scheduled,
+      },
+    });
+  } catch (error) {
+    console.error("List Scheduled Destinations Error:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+/**
+ * Queue a destination change for a future moment
+ * @route POST /api/url/:shortId/scheduled-destinations
+ */
+const handleScheduleDestination = async (req, res) => {
+  try {
+    const { shortId } = req.params;
+    const userId = req.user.id;
+    const { redirectURL, effectiveAt } = req.body;
+
+    const normalizedURL = normalizeDestinationURL(redirectURL);
+    if (!normalizedURL) {
+      return res.status(400).json({
+        success: false,
+        message: "A valid destination URL is required",
+      });
+    }
+
+    const effectiveDate = new Date(effectiveAt);
+    if (!effectiveAt || isNaN(effectiveDate.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid effective date format",
+      });
+    }
+
+    if (effectiveDate <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: "Effective date must be in the future",
+      });
+    }
+
+    const urlDoc = await URL.findOne({
+      shortId,
+      createdBy: userId,
+      isDeleted: false,
+    });
+
+    if (!urlDoc) {
+      return res.status(404).json({
+        success: false,
+        message: "URL not found",
+      });
+    }
+
+    applyDueDestinationChanges(urlDoc);
+
+    // Visitors of a split link go to a variant, so a new redirectURL would never be used
+    if (urlDoc.variants.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: "Remove the A/B variants before scheduling destination changes",
+      });
+    }
+
+    if (urlDoc.scheduledDestinations.length >= 20) {
+      return res.status(400).json({
+        success: false,
+        message: "A link can have at most 20 pending destination changes",
+      });
+    }
+
+    const clash = urlDoc.scheduledDestinations.some(
+      (change) => change.effectiveAt.getTime() === effectiveDate.getTime()
+    );
+    if (clash) {
+      return res.status(409).json({
+        success: false,
+        message: "A destination change is already scheduled for that time",
+      });
+    }
+
+    urlDoc.scheduledDestinations.push({
+      redirectURL: normalizedURL,
+      effectiveAt: effectiveDate,
+    });
+    await urlDoc.save();
+    redirectCache.invalidate(urlDoc);
+
+    const change = urlDoc.scheduledDestinations[urlDoc.scheduledDestinations.length - 1];
+
+    return res.status(201).json({
+      success: true,
+      message: "Destination change scheduled successfully",
+      data: {
+        id: change._id,
+        redirectURL: change.redirectURL,
+        effectiveAt: change.effectiveAt,
+        createdAt: change.createdAt,
+      },
+    });
+  } catch (error) {
+    console.error("Schedule Destination Error:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+/**
+ * Cancel a pending destination change
+ * @route DELETE /api/url/:shortId/scheduled-destinations/:changeId
+ */
+const handleCancelScheduledDestination = async (req, res) => {
+  try {
+    const { shortId, changeId } = req.params;
+    const userId = req.user.id;
+
+    const urlDoc = await URL.findOne({
+      shortId,
+      createdBy: userId,
+      isDeleted: false,
+    });
+
+    if (!urlDoc) {
+      return res.status(404).json({
+        success: false,
+        message: "URL not found",
+      });
+    }
+
+    // Changes already in effect can't be cancelled, only replaced by an edit
+    applyDueDestinationChanges(urlDoc);
+
+    const change = urlDoc.scheduledDestinations.id(changeId);
+    if (!change) {
+      await urlDoc.save();
+      return res.status(404).json({
+        success: false,
+        message: "Scheduled destination change not found or already in effect",
+      });
+    }
+
+    urlDoc.scheduledDestinations.pull(change._id);
+    await urlDoc.save();
+    redirectCache.invalidate(urlDoc);
+
+    return res.status(200).json({
+      success: true,
+      message: "Scheduled destination change cancelled",
+    });
+  } catch (error) {
+    console.error("Cancel Scheduled Destination Error:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+/**
+ * List the edit history of a URL, newest first
+ * @route GET /api/url/:shortId/history
+ */
+const handleGetUrlHistory = async (req, res) => {
+  try {
+    const { shortId } = req.params;
+    const userId = req.user.id;
+    const { page = 1, limit = 20 } = req.query;
+
+    const urlDoc = await URL.findOne({
+      shortId,
+      createdBy: userId,
+      isDeleted: false,
+    });
+
+    if (!urlDoc) {
+      return res.status(404).json({
+        success: false,
+        message: "URL not found",
+      });
+    }
+
+    // Pagination
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 20));
+    const skip = (pageNum - 1) * limitNum;
+
+    const [revisions, totalCount] = await Promise.all([
+      URLRevision.find({ urlId: urlDoc._id })
+        .select("-__v -urlId")
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limitNum)
+        .populate("changedBy", "name email"),
+      URLRevision.countDocuments({ urlId: urlDoc._id }),
+    ]);
+
+    const totalPages = Math.ceil(totalCount / limitNum);
+
+    return res.status(200).json({
+      success: true,
+      message: "URL history fetched successfully",
+      data: revisions,
+      pagination: {
+        currentPage: pageNum,
+        totalPages,
+        totalCount,
+        limit: limitNum,
+        hasNextPage: pageNum < totalPages,
+        hasPrevPage: pageNum > 1,
+      },
+    });
+  } catch (error) {
+    console.error("Get URL History Error:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+/**
+ * Roll a URL back to the values it had before a revision.
+ * The rollback is itself recorded as a new revision.
+ * @route POST /api/url/:shortId/history/:revisionId/rollback
+ */
+const handleRollbackUrl = async (req, res) => {
+  try {
+    const { shortId, revisionId } = req.params;
+    const userId = req.user.id;
+
+    if (!mongoose.Types.ObjectId.isValid(revisionId)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid revision ID",
+      });
+    }
+
+    const urlDoc = await URL.findOne({
+      shortId,
+      createdBy: userId,
+      isDeleted: false,
+    });
+
+    if (!urlDoc) {
+      return res.status(404).json({
+        success: false,
+        message: "URL not found",
+      });
+    }
+
+    const revision = await URLRevision.findOne({
+      _id: revisionId,
+      urlId: urlDoc._id,
+    });
+
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        message: "Revision not found",
+      });
+    }
+
+    applyDueDestinationChanges(urlDoc);
+    const before = snapshotUrl(urlDoc);
+
+    for (const { field, oldValue } of revision.changes) {
+      // The old short ID or aliases may have been reserved or taken by another link since
+      if (field === "shortId" || field === "aliases") {
+        const oldIds = [].concat(oldValue || []);
+
+        const reservedId = oldIds.find(isReservedShortId);
+        if (reservedId) {
+          return res.status(409).json({
+            success: false,
+            message: `"${reservedId}" is a reserved word and can't be used as a short ID`,
+          });
+        }
+
+        const takenId = await findTakenAlias(oldIds, urlDoc._id);
+        if (takenId) {
+          return res.status(409).json({
+            success: false,
+            message: `Short ID "${takenId}" is now used by another link`,
+          });
+        }
+      }
+
+      // Variants can't coexist with queued destination changes (see handleEditUrl)
+      if (field === "variants" && oldValue?.length > 0 && urlDoc.scheduledDestinations.length > 0) {
+        return res.status(409).json({
+          success: false,
+          message: "Cancel the scheduled destination changes before restoring A/B variants",
+        });
+      }
+
+      // The old folder may have been deleted since
+      if (field === "folderId" && oldValue) {
+        const folder = await Folder.findOne({
+          _id: oldValue,
+          createdBy: userId,
+          isDeleted: false,
+        });
+
+        if (!folder) {
+          return res.status(409).json({
+            success: false,
+            message: "The folder of this revision is no longer available",
+          });
+        }
+      }
+
+      // The old domain may have been removed since
+      if (field === "domainId" && oldValue) {
+        const domainExists = await Domain.exists({
+          _id: oldValue,
+          createdBy: userId,
+          isVerified: true,
+        });
+
+        if (!domainExists) {
+          return res.status(409).json({
+            success: false,
+            message: "The domain of this revision is no longer available",
+          });
+        }
+      }
+
+      urlDoc.set(field, oldValue);
+    }
+
+    await urlDoc.save();
+    redirectCache.invalidate(urlDoc);
+    const rollbackRevision = await recordRevision(urlDoc, before, {
+      changedBy: userId,
+      action: "rollback",
+      rolledBackRevision: revision._id,
+    });
+
+    await urlDoc.populate("domainId", "hostname");
+
+    const updatedUrl = urlDoc.toObject();
+    delete updatedUrl.password;
+
+    return res.status(200).json({
+      success: true,
+      message: rollbackRevision
+        ? "URL rolled back successfully"
+        : "URL already matches this revision",
+      data: {
+        ...updatedUrl,
+        shortUrl: buildShortUrl(urlDoc.shortId, urlDoc.domainId?.hostname),
+        revision: rollbackRevision,
+      },
+    });
+  } catch (error) {
+    console.error("Rollback URL Error:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
 module.exports = {
   handleCreateShortURL,
   handleListUserUrls,
@@ -597,4 +1864,9 @@ module.exports = {
   handleSoftDeleteUrl,
   handleRestoreUrl,
   handlePermanentDeleteUrl,
+  handleListScheduledDestinations,
+  handleScheduleDestination,
+  handleCancelScheduledDestination,
+  handleGetUrlHistory,
+  handleRollbackUrl,
 };
\ No newline at end of file
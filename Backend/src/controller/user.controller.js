@@ -3,6 +3,9 @@ const User = require("../models/users.model");
 const URL = require("../models/url.model");
 const Folder = require("../models/folder.model");
 const VisitHistory = require("../models/visitHistory.model");
+const { normalizeDestinationURL } = require("../service/routing.service");
+const { validateShortIdStrategy } = require("../service/shortIdGenerator.service");
+const redirectCache = require("../service/redirectCache.service");
 
 /**
  * Get user profile
@@ -29,6 +32,8 @@ const handleGetProfile = async (req, res) => {
         name: user.name,
         email: user.email,
         role: user.role,
+        fallbackURL: user.fallbackURL,
+        shortIdStrategy: user.shortIdStrategy,
         createdAt: user.createdAt,
         updatedAt: user.updatedAt,
       },
@@ -49,13 +54,13 @@ const handleGetProfile = async (req, res) => {
 const handleUpdateProfile = async (req, res) => {
   try {
     const userId = req.user.id;
-    const { name, email } = req.body;
+    const { name, email, fallbackURL, shortIdStrategy } = req.body;
 
     // Check if at least one field is provided
-    if (!name && !email) {
+    if (!name && !email && fallbackURL === undefined && shortIdStrategy === undefined) {
       return res.status(400).json({
         success: false,
-        message: "At least one field (name or email) is required",
+        message: "At least one field (name, email, fallbackURL or shortIdStrategy) is required",
       });
     }
 
@@ -98,6 +103,31 @@ const handleUpdateProfile = async (req, res) => {
       updateFields.email = email.toLowerCase().trim();
     }
 
+    // Account-wide fallback for inactive/expired links (null or "" removes it)
+    if (fallbackURL !== undefined) {
+      if (fallbackURL) {
+        const normalizedFallbackURL = normalizeDestinationURL(fallbackURL);
+        if (!normalizedFallbackURL) {
+          return res.status(400).json({
+            success: false,
+            message: "Invalid fallback URL format",
+          });
+        }
+        updateFields.fallbackURL = normalizedFallbackURL;
+      } else {
+        updateFields.fallbackURL = null;
+      }
+    }
+
+    // Default short ID generator for new links (null resets to random)
+    if (shortIdStrategy !== undefined) {
+      const { error, value } = validateShortIdStrategy(shortIdStrategy);
+      if (error) {
+        return res.status(400).json({ success: false, message: error });
+      }
+      updateFields.shortIdStrategy = value;
+    }
+
     // Update user
     const updatedUser = await User.findByIdAndUpdate(
       userId,
@@ -120,6 +150,8 @@ const handleUpdateProfile = async (req, res) => {
         name: updatedUser.name,
         email: updatedUser.email,
         role: updatedUser.role,
+        fallbackURL: updatedUser.fallbackURL,
+        shortIdStrategy: updatedUser.shortIdStrategy,
         createdAt: updatedUser.createdAt,
         updatedAt: updatedUser.updatedAt,
       },
@@ -258,6 +290,7 @@ const handleDeleteAccount = async (req, res) => {
       { createdBy: userId, isDeleted: false },
       { $set: { isDeleted: true, deletedAt: now } }
     );
+    redirectCache.invalidateOwner(userId);
 
     // Soft delete all user's folders
     await Folder.updateMany(
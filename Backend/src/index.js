@@ -1,6 +1,8 @@
 const config = require('./config/index.js');
 const { connectMongoDB } = require('./connection.js');
+const mongoose = require('mongoose');
 const cors = require('cors'); 
+const path = require('path');
 
 const express = require('express');
 const helmet = require('helmet');
@@ -8,6 +10,8 @@ const morgan = require('morgan');
 const cookieParser = require('cookie-parser');
 
 const { checkAuth, checkRole } = require('./middlewares/auth.middleware.js');
+const { onlyShortDomains } = require('./middlewares/shortDomain.middleware.js');
+const visitBuffer = require('./service/visitBuffer.service.js');
 
 
 // Import routes
@@ -19,11 +23,19 @@ const folderRouter = require('./routes/folderUrl.route.js');
 const analyticsRouter = require('./routes/analyticsUrl.route.js');
 const recycleBinRouter = require('./routes/recycleBin.route.js');
 const adminRoutes = require('./routes/admin.route.js');
+const domainRouter = require('./routes/domain.route.js');
 const redirectRoute = require('./routes/redirectUrl.route.js');
 
 const app = express();
 const PORT = config.port;
 
+// Only trust forwarding headers from the configured proxies (req.ip)
+app.set('trust proxy', config.trustProxy);
+
+// Views for public pages served on the redirect path (e.g. unlock form)
+app.set('view engine', 'ejs');
+app.set('views', path.join(__dirname, 'views'));
+
 // MongoDB connect
 connectMongoDB(config.dbUrl)
   .then(() => console.log('MongoDB connected.'))
@@ -64,13 +76,46 @@ app.use('/api/analytics', checkAuth, analyticsRouter);
 // Recycle Bin routes (protected: manage deleted items)
 app.use('/api/recycle-bin', checkAuth, recycleBinRouter);
 
+// Domain routes (protected: branded domains per user)
+app.use('/api/domain', checkAuth, domainRouter);
+
 // Redirect routes (public: anyone with shortId can be redirected)
 app.use('/r', redirectRoute);
 
 // Admin routes (restricted: must be logged-in AND admin role)
 app.use('/api/admin', checkAuth, checkRole("admin"), adminRoutes);
 
+// Root-path short links (/:shortId) on dedicated short domains; mounted last
+// so API routes always win, and reserved words keep custom IDs off their paths
+if (config.rootPathShortLinks !== 'off') {
+  const rootRedirectRoute = express.Router();
+  rootRedirectRoute.use(onlyShortDomains, redirectRoute);
+  app.use('/', rootRedirectRoute);
+}
+
 // Start server
 const server = app.listen(PORT, () => {
   console.log(`Server started at port: ${PORT}`);
-});
\ No newline at end of file
+});
+
+// Graceful shutdown: stop taking requests, then write out buffered visits
+const shutdown = (signal) => {
+  console.log(`${signal} received, shutting down...`);
+
+  // Don't hang forever on open connections or an unreachable database
+  setTimeout(() => process.exit(1), 15000).unref();
+
+  server.close(async () => {
+    try {
+      await visitBuffer.drain();
+      await mongoose.connection.close();
+      process.exit(0);
+    } catch (error) {
+      console.error('Shutdown error:', error);
+      process.exit(1);
+    }
+  });
+};
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
\ No newline at end of file
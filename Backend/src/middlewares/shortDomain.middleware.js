@@ -0,0 +1,25 @@
+const config = require("../config/index");
+const { resolveRequestDomainId } = require("../service/domain.service");
+
+/**
+ * Gate for root-path short links (/:shortId)
+ * Passes only requests on dedicated short domains; others skip the rest of the router
+ */
+const onlyShortDomains = async (req, res, next) => {
+  try {
+    if (config.rootPathShortLinks === "all") return next();
+
+    const domainId = await resolveRequestDomainId(req);
+    return domainId ? next() : next("router");
+  } catch (error) {
+    console.error("Short Domain Middleware Error:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+module.exports = {
+  onlyShortDomains,
+};
@@ -0,0 +1,80 @@
+/**
+ * Backfill case-insensitive lookup keys (shortIdKey, aliasKeys) on links
+ * created before they existed. Safe to run more than once.
+ *
+ * Usage: npm run migrate:shortid-keys
+ */
+const mongoose = require('mongoose');
+const config = require('../config/index');
+const URL = require('../models/url.model');
+const { normalizeShortId } = require('../service/shortId.service');
+
+const BATCH_SIZE = 500;
+
+const migrateShortIdKeys = async () => {
+  const cursor = URL.find({ shortIdKey: { $exists: false } })
+    .select('shortId aliases')
+    .lean()
+    .cursor();
+
+  let updated = 0;
+  const conflicts = [];
+  let batch = [];
+
+  const flush = async () => {
+    if (batch.length === 0) return;
+
+    try {
+      const result = await URL.bulkWrite(batch, { ordered: false });
+      updated += result.modifiedCount;
+    } catch (error) {
+      // Links differing only by case can't both get a key; report them for manual renaming
+      if (!error.writeErrors) throw error;
+      updated += error.result?.modifiedCount ?? 0;
+      error.writeErrors.forEach((writeError) => {
+        conflicts.push(batch[writeError.index].updateOne.filter._id);
+      });
+    }
+
+    batch = [];
+  };
+
+  for await (const url of cursor) {
+    batch.push({
+      updateOne: {
+        filter: { _id: url._id },
+        update: {
+          $set: {
+            shortIdKey: normalizeShortId(url.shortId),
+            aliasKeys: (url.aliases || []).map(normalizeShortId),
+          },
+        },
+      },
+    });
+
+    if (batch.length >= BATCH_SIZE) await flush();
+  }
+  await flush();
+
+  return { updated, conflicts };
+};
+
+if (require.main === module) {
+  mongoose
+    .connect(config.dbUrl)
+    .then(() => URL.createIndexes())
+    .then(migrateShortIdKeys)
+    .then(({ updated, conflicts }) => {
+      console.log(`Short ID keys: ${updated} link(s) updated.`);
+      if (conflicts.length > 0) {
+        console.warn(`Skipped ${conflicts.length} link(s) whose short ID clashes case-insensitively:`, conflicts.map(String));
+      }
+    })
+    .catch((error) => {
+      console.error('Short ID key migration failed:', error);
+      process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
+}
+
+module.exports = { migrateShortIdKeys };
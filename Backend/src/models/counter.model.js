@@ -0,0 +1,16 @@
+const mongoose = require('mongoose');
+
+// Named monotonically increasing counters (e.g. sequential short IDs)
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+  },
+  seq: {
+    type: Number,
+    default: 0,
+  },
+});
+
+const Counter = mongoose.model('counter', counterSchema);
+
+module.exports = Counter;
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// Branded domain an account serves short links from (e.g. go.acme.com)
+const domainSchema = new mongoose.Schema({
+  hostname: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'user',
+    required: true,
+  },
+  verificationToken: {
+    type: String,
+    required: true,
+  },
+  isVerified: {
+    type: Boolean,
+    default: false,
+  },
+  verifiedAt: {
+    type: Date,
+    default: null,
+  },
+}, { timestamps: true });
+
+// Several accounts may claim a hostname, but only one can verify it
+domainSchema.index({ hostname: 1, createdBy: 1 }, { unique: true });
+domainSchema.index(
+  { hostname: 1 },
+  { unique: true, partialFilterExpression: { isVerified: true } }
+);
+
+const Domain = mongoose.model('domain', domainSchema);
+
+module.exports = Domain;
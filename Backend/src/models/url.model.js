@@ -1,4 +1,154 @@
 const mongoose = require('mongoose');
+const { normalizeShortId } = require('../service/shortId.service');
+
+// A/B split destination; weights across a link's variants total 100
+const variantSchema = new mongoose.Schema({
+  label: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  redirectURL: {
+    type: String,
+    required: true,
+  },
+  weight: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 100,
+  },
+});
+
+// Geo-targeting rule; countries hold ISO 3166-1 alpha-2 codes or region groups (e.g. EU)
+const geoRuleSchema = new mongoose.Schema({
+  label: {
+    type: String,
+    trim: true,
+  },
+  countries: {
+    type: [String],
+    required: true,
+  },
+  redirectURL: {
+    type: String,
+    required: true,
+  },
+});
+
+// Device/OS targeting rule; an empty list matches any value
+const deviceRuleSchema = new mongoose.Schema({
+  label: {
+    type: String,
+    trim: true,
+  },
+  os: {
+    type: [String],
+    default: [],
+  },
+  deviceTypes: {
+    type: [String],
+    default: [],
+  },
+  redirectURL: {
+    type: String,
+    required: true,
+  },
+});
+
+// UTM tags merged into the destination query string on redirect
+const utmSchema = new mongoose.Schema({
+  source: { type: String, default: null, trim: true },
+  medium: { type: String, default: null, trim: true },
+  campaign: { type: String, default: null, trim: true },
+  term: { type: String, default: null, trim: true },
+  content: { type: String, default: null, trim: true },
+}, { _id: false });
+
+// Forwarding of the incoming query string and trailing path to the destination
+const passthroughSchema = new mongoose.Schema({
+  query: { type: Boolean, default: false },
+  path: { type: Boolean, default: false },
+  onConflict: {
+    type: String,
+    enum: ['destination', 'incoming', 'append'],
+    default: 'destination',
+  },
+}, { _id: false });
+
+// Page shown before redirecting; countdown is in seconds
+const interstitialSchema = new mongoose.Schema({
+  enabled: { type: Boolean, default: false },
+  countdown: { type: Number, default: 5, min: 0, max: 30 },
+}, { _id: false });
+
+// Open Graph/Twitter Card overrides served to social-media crawlers
+const openGraphSchema = new mongoose.Schema({
+  title: { type: String, default: null, trim: true },
+  description: { type: String, default: null, trim: true },
+  image: { type: String, default: null },
+}, { _id: false });
+
+// Native app links tried before falling back to the web destination;
+// timeout is in milliseconds
+const deepLinkSchema = new mongoose.Schema({
+  iosURL: { type: String, default: null },
+  androidURL: { type: String, default: null },
+  timeout: { type: Number, default: 1500, min: 500, max: 10000 },
+}, { _id: false });
+
+// Language rule; languages hold lower-case tags ("de", "fr-ca") matched against Accept-Language
+const languageRuleSchema = new mongoose.Schema({
+  label: {
+    type: String,
+    trim: true,
+  },
+  languages: {
+    type: [String],
+    required: true,
+  },
+  redirectURL: {
+    type: String,
+    required: true,
+  },
+});
+
+// Time-of-day/day-of-week rule, evaluated in the link's scheduleTimezone;
+// start/end are "HH:mm" and a window with end <= start runs past midnight
+const scheduleRuleSchema = new mongoose.Schema({
+  label: {
+    type: String,
+    trim: true,
+  },
+  days: {
+    type: [String],
+    required: true,
+  },
+  start: {
+    type: String,
+    required: true,
+  },
+  end: {
+    type: String,
+    required: true,
+  },
+  redirectURL: {
+    type: String,
+    required: true,
+  },
+});
+
+// Queued change of redirectURL, taking effect at effectiveAt
+const scheduledDestinationSchema = new mongoose.Schema({
+  redirectURL: {
+    type: String,
+    required: true,
+  },
+  effectiveAt: {
+    type: Date,
+    required: true,
+  },
+}, { timestamps: { createdAt: true, updatedAt: false } });
 
 const urlSchema = new mongoose.Schema({
   shortId: {
@@ -6,25 +156,111 @@ const urlSchema = new mongoose.Schema({
     required: true,
     unique: true,
   },
+  // Lower-cased shortId used for case-insensitive lookups; kept in sync on save
+  shortIdKey: {
+    type: String,
+  },
+  // Extra short IDs resolving to this link; unique across shortIds and aliases
+  aliases: {
+    type: [String],
+    default: [],
+  },
+  aliasKeys: {
+    type: [String],
+    default: [],
+  },
   title: {
     type: String,
     default: null,
     trim: true,
   },
+  description: {
+    type: String,
+    default: null,
+    trim: true,
+  },
   redirectURL: {
     type: String,
     required: true,
   },
+  scheduledDestinations: {
+    type: [scheduledDestinationSchema],
+    default: [],
+  },
+  redirectType: {
+    type: Number,
+    enum: [301, 302, 307, 308],
+    default: 302,
+  },
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'user',
     required: true,
   },
+  deepLink: {
+    type: deepLinkSchema,
+    default: () => ({}),
+  },
+  openGraph: {
+    type: openGraphSchema,
+    default: () => ({}),
+  },
+  interstitial: {
+    type: interstitialSchema,
+    default: () => ({}),
+  },
+  utm: {
+    type: utmSchema,
+    default: () => ({}),
+  },
+  passthrough: {
+    type: passthroughSchema,
+    default: () => ({}),
+  },
+  variants: {
+    type: [variantSchema],
+    default: [],
+  },
+  geoRules: {
+    type: [geoRuleSchema],
+    default: [],
+  },
+  deviceRules: {
+    type: [deviceRuleSchema],
+    default: [],
+  },
+  languageRules: {
+    type: [languageRuleSchema],
+    default: [],
+  },
+  scheduleRules: {
+    type: [scheduleRuleSchema],
+    default: [],
+  },
+  scheduleTimezone: {
+    type: String,
+    default: 'UTC',
+  },
   folderId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'folder',
     default: null,
   },
+  // Verified branded domain the link is served on; null = default domain
+  domainId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'domain',
+    default: null,
+  },
+  password: {
+    type: String,
+    default: null,
+    select: false, // bcrypt hash, never returned unless explicitly selected
+  },
+  isPasswordProtected: {
+    type: Boolean,
+    default: false,
+  },
   isActive: {
     type: Boolean,
     default: true,
@@ -33,6 +269,23 @@ const urlSchema = new mongoose.Schema({
     type: Date,
     default: null,
   },
+  activeFrom: {
+    type: Date,
+    default: null,
+  },
+  fallbackURL: {
+    type: String,
+    default: null,
+  },
+  maxClicks: {
+    type: Number,
+    default: null,
+    min: 1,
+  },
+  clickCount: {
+    type: Number,
+    default: 0,
+  },
   isDeleted: {
     type: Boolean,
     default: false,
@@ -43,6 +296,24 @@ const urlSchema = new mongoose.Schema({
   },
 }, { timestamps: true });
 
+// Lookup keys are unique case-insensitively. Partial indexes skip links
+// without aliases (empty arrays would collide) and links saved before the
+// keys existed (see migrations/shortIdKeys.js).
+urlSchema.index(
+  { shortIdKey: 1 },
+  { unique: true, partialFilterExpression: { shortIdKey: { $type: 'string' } } }
+);
+urlSchema.index(
+  { aliasKeys: 1 },
+  { unique: true, partialFilterExpression: { aliasKeys: { $type: 'string' } } }
+);
+
+urlSchema.pre('validate', function (next) {
+  this.shortIdKey = normalizeShortId(this.shortId);
+  this.aliasKeys = this.aliases.map(normalizeShortId);
+  next();
+});
+
 const URL = mongoose.model('url', urlSchema);
 
 module.exports = URL;
\ No newline at end of file
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+// One tracked field changed by a revision; values are stored as JSON snapshots
+const fieldChangeSchema = new mongoose.Schema({
+  field: {
+    type: String,
+    required: true,
+  },
+  oldValue: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null,
+  },
+  newValue: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null,
+  },
+}, { _id: false });
+
+const urlRevisionSchema = new mongoose.Schema({
+  urlId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'url',
+    required: true,
+    index: true,
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'user',
+    required: true,
+  },
+  action: {
+    type: String,
+    enum: ['edit', 'rollback'],
+    default: 'edit',
+  },
+  rolledBackRevision: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'urlRevision',
+    default: null,
+  },
+  changes: {
+    type: [fieldChangeSchema],
+    default: [],
+  },
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+const URLRevision = mongoose.model('urlRevision', urlRevisionSchema);
+
+module.exports = URLRevision;
@@ -1,5 +1,22 @@
 const mongoose = require('mongoose');
 
+// Default generator for this account's short IDs; length/alphabet unset = strategy default
+const shortIdStrategySchema = new mongoose.Schema({
+  strategy: {
+    type: String,
+    enum: ['random', 'sequential', 'words', 'hash'],
+    required: true,
+  },
+  length: {
+    type: Number,
+    default: null,
+  },
+  alphabet: {
+    type: String,
+    default: null,
+  },
+}, { _id: false });
+
 const userSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -22,6 +39,14 @@ const userSchema = new mongoose.Schema({
     enum: ['user', 'admin'],
     default: 'user',
   },
+  fallbackURL: {
+    type: String,
+    default: null,
+  },
+  shortIdStrategy: {
+    type: shortIdStrategySchema,
+    default: null,
+  },
 }, { timestamps: true });
 
 const User = mongoose.model('user', userSchema);
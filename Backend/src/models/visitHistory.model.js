@@ -1,5 +1,18 @@
 const mongoose = require('mongoose');
 
+// Targeting rule that decided the destination of a visit
+const matchedRuleSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+  },
+  ruleId: {
+    type: mongoose.Schema.Types.ObjectId,
+  },
+  label: {
+    type: String,
+  },
+}, { _id: false });
+
 const visitHistorySchema = new mongoose.Schema({
   urlId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -13,6 +26,9 @@ const visitHistorySchema = new mongoose.Schema({
   deviceType: {
     type: String,
   },
+  os: {
+    type: String,
+  },
   userAgent: {
     type: String,
   },
@@ -25,6 +41,37 @@ const visitHistorySchema = new mongoose.Schema({
   city: {
     type: String,
   },
+  language: {
+    type: String,
+    default: null,
+  },
+  variant: {
+    type: String,
+    default: null,
+  },
+  alias: {
+    type: String,
+    default: null, // alias the visitor used; null for the primary short ID
+  },
+  matchedRule: {
+    type: matchedRuleSchema,
+    default: null,
+  },
+  outcome: {
+    type: String,
+    enum: ['redirect', 'interstitial', 'deep_link'],
+    default: 'redirect',
+  },
+  // Automated traffic (crawlers, link previews, prefetches...); excluded from analytics by default
+  isBot: {
+    type: Boolean,
+    default: false,
+  },
+  botType: {
+    type: String,
+    enum: ['head_request', 'prefetch', 'link_preview', 'scanner', 'crawler', null],
+    default: null,
+  },
   timestamp: {
     type: Date,
     default: Date.now,
@@ -32,6 +79,8 @@ const visitHistorySchema = new mongoose.Schema({
   },
 }, { timestamps: true });
 
+visitHistorySchema.index({ urlId: 1, isBot: 1, timestamp: -1 });
+
 const VisitHistory = mongoose.model('visitHistory', visitHistorySchema);
 
 module.exports = VisitHistory;
\ No newline at end of file
@@ -5,6 +5,7 @@ const adminController = require('../controller/admin.controller');
 // Dashboard
 router.get('/dashboard', adminController.handleAdminDashboard);
 router.get('/stats', adminController.handleSystemStats);
+router.get('/visit-queue', adminController.handleVisitQueueStatus);
 
 // User management
 router.get('/users', adminController.handleListUsers);
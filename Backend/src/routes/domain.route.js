@@ -0,0 +1,22 @@
+const express = require('express');
+const domainRouter = express.Router();
+const {
+  handleAddDomain,
+  handleListDomains,
+  handleVerifyDomain,
+  handleDeleteDomain,
+} = require('../controller/domain.controller');
+
+// POST /api/domain - Register a branded domain
+domainRouter.post('/', handleAddDomain);
+
+// GET /api/domain - List branded domains for the logged-in user
+domainRouter.get('/', handleListDomains);
+
+// POST /api/domain/:domainId/verify - Check the DNS TXT record and verify ownership
+domainRouter.post('/:domainId/verify', handleVerifyDomain);
+
+// DELETE /api/domain/:domainId - Remove a branded domain
+domainRouter.delete('/:domainId', handleDeleteDomain);
+
+module.exports = domainRouter;
@@ -1,7 +1,12 @@
 const express=require('express');
 const redirectRoute=express.Router();
-const {handleRedirect}=require('../controller/redirect.controller');
+const {handleRedirect,handleUnlockRedirect}=require('../controller/redirect.controller');
 
 redirectRoute.get('/:shortId',handleRedirect);
+redirectRoute.post('/:shortId',handleUnlockRedirect);
+
+// Trailing path segments, forwarded to the destination when the link opts in
+redirectRoute.get('/:shortId/*rest',handleRedirect);
+redirectRoute.post('/:shortId/*rest',handleUnlockRedirect);
 
 module.exports=redirectRoute;
\ No newline at end of file
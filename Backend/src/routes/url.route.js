@@ -8,6 +8,11 @@ const {
   handleSoftDeleteUrl,
   handleRestoreUrl,
   handlePermanentDeleteUrl,
+  handleListScheduledDestinations,
+  handleScheduleDestination,
+  handleCancelScheduledDestination,
+  handleGetUrlHistory,
+  handleRollbackUrl,
 } = require('../controller/url.controller');
 
 // POST /api/url - Create a new short URL
@@ -31,4 +36,19 @@ urlRouter.patch('/:shortId/restore', handleRestoreUrl);
 // DELETE /api/url/:shortId/permanent - Permanently delete URL
 urlRouter.delete('/:shortId/permanent', handlePermanentDeleteUrl);
 
+// GET /api/url/:shortId/scheduled-destinations - List pending destination changes
+urlRouter.get('/:shortId/scheduled-destinations', handleListScheduledDestinations);
+
+// POST /api/url/:shortId/scheduled-destinations - Queue a future destination change
+urlRouter.post('/:shortId/scheduled-destinations', handleScheduleDestination);
+
+// DELETE /api/url/:shortId/scheduled-destinations/:changeId - Cancel a pending change
+urlRouter.delete('/:shortId/scheduled-destinations/:changeId', handleCancelScheduledDestination);
+
+// GET /api/url/:shortId/history - List edit history (revisions)
+urlRouter.get('/:shortId/history', handleGetUrlHistory);
+
+// POST /api/url/:shortId/history/:revisionId/rollback - Restore values from before a revision
+urlRouter.post('/:shortId/history/:revisionId/rollback', handleRollbackUrl);
+
 module.exports = urlRouter;
\ No newline at end of file
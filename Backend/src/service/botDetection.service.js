@@ -0,0 +1,57 @@
+// Link-preview fetchers (chat apps, social networks) that unfurl shared links.
+// Tokens match the fetchers only, not the same apps' in-app browsers (e.g.
+// "[Pinterest/iOS]"), whose visitors must reach the destination.
+const LINK_PREVIEW_PATTERN = /facebookexternalhit|facebot|twitterbot|linkedinbot|slackbot|slack-imgproxy|discordbot|telegrambot|^whatsapp\/|skypeuripreview|pinterestbot|pinterest\/0\.|redditbot|applebot|embedly|vkshare|iframely|mastodon\/|cardyb|microsoftpreview/i;
+
+// Email/link security scanners and vulnerability scanners
+const SCANNER_PATTERN = /google-safety|safebrowsing|barracuda|proofpoint|mimecast|forcepoint|zscaler|symantec|trendmicro|sophos|fortiguard|virustotal|urlscan|bitsight|censys|expanse|nessus|nikto|sqlmap|masscan|zgrab|nmap/i;
+
+// Search engine crawlers, headless browsers and HTTP libraries
+const CRAWLER_PATTERN = /bot|crawler|spider|scraper|slurp|bingpreview|headlesschrome|phantomjs|lighthouse|curl|wget|python|java|php|go-http-client|okhttp|libwww-perl|httpclient|axios|node-fetch/i;
+
+/**
+ * Whether a request was sent by a prefetch/prerender rather than a click
+ */
+const isPrefetchRequest = (headers) => {
+  const purpose = [headers["purpose"], headers["sec-purpose"], headers["x-purpose"], headers["x-moz"]]
+    .filter(Boolean)
+    .join(" ")
+    .toLowerCase();
+
+  return /prefetch|prerender|preview/.test(purpose);
+};
+
+/**
+ * Whether a user agent belongs to a link-preview fetcher
+ */
+const isLinkPreviewFetcher = (userAgent) => Boolean(userAgent) && LINK_PREVIEW_PATTERN.test(userAgent);
+
+/**
+ * Classify a redirect request as a human click or automated traffic
+ * @returns {Object} { isBot, botType } with botType one of head_request,
+ * prefetch, link_preview, scanner, crawler (null for humans)
+ */
+const classifyVisit = (req) => {
+  const userAgent = req.headers["user-agent"];
+
+  let botType = null;
+  if (req.method === "HEAD") {
+    botType = "head_request";
+  } else if (isPrefetchRequest(req.headers)) {
+    botType = "prefetch";
+  } else if (isLinkPreviewFetcher(userAgent)) {
+    botType = "link_preview";
+  } else if (userAgent && SCANNER_PATTERN.test(userAgent)) {
+    botType = "scanner";
+  } else if (!userAgent || CRAWLER_PATTERN.test(userAgent)) {
+    // Browsers always send a user agent
+    botType = "crawler";
+  }
+
+  return { isBot: botType !== null, botType };
+};
+
+module.exports = {
+  isLinkPreviewFetcher,
+  classifyVisit,
+};
@@ -0,0 +1,123 @@
+const dns = require("dns").promises;
+const config = require("../config/index");
+const Domain = require("../models/domain.model");
+const redirectCache = require("./redirectCache.service");
+
+const VERIFICATION_RECORD_PREFIX = "_linkzest";
+const VERIFICATION_VALUE_PREFIX = "linkzest-verification=";
+
+const HOSTNAME_PATTERN = /^(?=.{4,253}$)([a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/;
+
+/**
+ * TXT lookup used for ownership checks; same shape as dns.promises.resolveTxt.
+ * The expected value is passed along only so the local stub can echo it back.
+ */
+const dnsTxtResolver = (recordName) => dns.resolveTxt(recordName);
+const stubTxtResolver = async (recordName, expectedValue) => [[expectedValue]];
+
+let txtResolver = config.stubDomainVerification ? stubTxtResolver : dnsTxtResolver;
+
+/**
+ * Swap the TXT resolver, e.g. for a stub in local development
+ * @param {Function} resolver - (recordName, expectedValue) => Promise<string[][]>
+ */
+const setTxtResolver = (resolver) => {
+  txtResolver = resolver;
+};
+
+/**
+ * Hostname the app itself is served from, taken from APP_BASE_URL
+ */
+const getDefaultHostname = () =>
+  new globalThis.URL(process.env.APP_BASE_URL || "http://localhost:3000").hostname;
+
+/**
+ * Lower-case a hostname and check it is a plain domain name (no scheme, port or path)
+ * @returns {string|null} the hostname, or null when invalid
+ */
+const normalizeHostname = (hostname) => {
+  if (typeof hostname !== "string") return null;
+
+  const normalized = hostname.trim().toLowerCase().replace(/\.$/, "");
+  return HOSTNAME_PATTERN.test(normalized) ? normalized : null;
+};
+
+/**
+ * DNS record an account must publish to prove it controls a domain
+ * @returns {Object} { type, name, value }
+ */
+const getVerificationRecord = (domain) => ({
+  type: "TXT",
+  name: `${VERIFICATION_RECORD_PREFIX}.${domain.hostname}`,
+  value: `${VERIFICATION_VALUE_PREFIX}${domain.verificationToken}`,
+});
+
+/**
+ * Check whether the domain's verification TXT record is published
+ */
+const verifyDomainOwnership = async (domain) => {
+  const { name, value } = getVerificationRecord(domain);
+
+  try {
+    // Long TXT values arrive split into chunks
+    const records = await txtResolver(name, value);
+    return records.some((chunks) => chunks.join("") === value);
+  } catch (error) {
+    if (["ENOTFOUND", "ENODATA", "ESERVFAIL", "ETIMEOUT"].includes(error.code)) {
+      return false;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Verified branded domain a request came in on; cached per hostname in the
+ * redirect cache and memoized on the request
+ * @returns {Promise<ObjectId|null>} the domain's _id, or null for the default domain
+ */
+const resolveRequestDomainId = async (req) => {
+  if (req.shortLinkDomainId !== undefined) return req.shortLinkDomainId;
+
+  const hostname = normalizeHostname(req.hostname);
+  let domainId = null;
+
+  if (hostname && hostname !== getDefaultHostname()) {
+    domainId = redirectCache.getDomainId(hostname);
+
+    if (domainId === undefined) {
+      const domain = await Domain.findOne({ hostname, isVerified: true }).select("_id").lean();
+      domainId = domain ? domain._id : null;
+      redirectCache.setDomainId(hostname, domainId);
+    }
+  }
+
+  req.shortLinkDomainId = domainId;
+  return domainId;
+};
+
+/**
+ * Public short URL of a link, on its branded domain when it has one.
+ * Drops the /r prefix where root-path short links are enabled.
+ */
+const buildShortUrl = (shortId, hostname = null) => {
+  const mode = config.rootPathShortLinks;
+
+  if (hostname) {
+    return mode === "off"
+      ? `https://${hostname}/r/${shortId}`
+      : `https://${hostname}/${shortId}`;
+  }
+
+  const appBaseUrl = process.env.APP_BASE_URL || "http://localhost:3000";
+  return mode === "all" ? `${appBaseUrl}/${shortId}` : `${appBaseUrl}/r/${shortId}`;
+};
+
+module.exports = {
+  setTxtResolver,
+  getDefaultHostname,
+  normalizeHostname,
+  getVerificationRecord,
+  verifyDomainOwnership,
+  resolveRequestDomainId,
+  buildShortUrl,
+};
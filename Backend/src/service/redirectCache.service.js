@@ -0,0 +1,147 @@
+const config = require("../config/index");
+const { normalizeShortId } = require("./shortId.service");
+
+// Misses are cached briefly so unknown short IDs don't hit MongoDB on every request
+const NEGATIVE_TTL_MS = 10 * 1000;
+
+// "<short ID as requested>@<domainId>" -> { urlDoc, expiresAt } and
+// "domain:<hostname>" -> { domainId, expiresAt }; Map order doubles as LRU order.
+// Per process only: other instances see changes once their entries expire.
+const entries = new Map();
+
+const DOMAIN_KEY_PREFIX = "domain:";
+
+const toCacheKey = (lookupKey, domainId) => `${lookupKey}@${domainId || ""}`;
+
+/**
+ * When a cached link must be reloaded: the regular TTL, cut short by the next
+ * moment its availability or destination changes on its own
+ */
+const getExpiry = (urlDoc, now) => {
+  const candidates = [now + config.redirectCacheTtl * 1000];
+
+  if (urlDoc.expirationDate) candidates.push(new Date(urlDoc.expirationDate).getTime());
+  if (urlDoc.activeFrom) candidates.push(new Date(urlDoc.activeFrom).getTime());
+  (urlDoc.scheduledDestinations || []).forEach((change) => {
+    candidates.push(new Date(change.effectiveAt).getTime());
+  });
+
+  // Times already passed don't shorten the TTL further
+  return Math.min(...candidates.filter((time) => time > now));
+};
+
+/**
+ * Unexpired entry for a cache key, marked as most recently used
+ */
+const readEntry = (cacheKey) => {
+  const entry = entries.get(cacheKey);
+  if (!entry) return undefined;
+
+  if (entry.expiresAt <= Date.now()) {
+    entries.delete(cacheKey);
+    return undefined;
+  }
+
+  // Move to the most recently used end
+  entries.delete(cacheKey);
+  entries.set(cacheKey, entry);
+  return entry;
+};
+
+/**
+ * Store an entry, evicting least recently used ones beyond the size limit
+ */
+const writeEntry = (cacheKey, entry) => {
+  if (config.redirectCacheSize <= 0 || config.redirectCacheTtl <= 0) return;
+
+  entries.delete(cacheKey);
+  entries.set(cacheKey, entry);
+
+  while (entries.size > config.redirectCacheSize) {
+    entries.delete(entries.keys().next().value);
+  }
+};
+
+/**
+ * Cached lookup result
+ * @returns {Object|null|undefined} the link, null for a cached miss, undefined if not cached
+ */
+const get = (lookupKey, domainId) => readEntry(toCacheKey(lookupKey, domainId))?.urlDoc;
+
+/**
+ * Cache a lookup result (urlDoc null caches a miss)
+ */
+const set = (lookupKey, domainId, urlDoc) => {
+  const now = Date.now();
+
+  writeEntry(toCacheKey(lookupKey, domainId), {
+    urlDoc,
+    expiresAt: urlDoc ? getExpiry(urlDoc, now) : now + NEGATIVE_TTL_MS,
+  });
+};
+
+/**
+ * Cached verified-domain lookup for a request hostname
+ * @returns {ObjectId|null|undefined} the domain's _id, null for no verified domain, undefined if not cached
+ */
+const getDomainId = (hostname) => readEntry(`${DOMAIN_KEY_PREFIX}${hostname}`)?.domainId;
+
+/**
+ * Cache a verified-domain lookup (domainId null caches "not a branded domain")
+ */
+const setDomainId = (hostname, domainId) => {
+  writeEntry(`${DOMAIN_KEY_PREFIX}${hostname}`, {
+    domainId,
+    expiresAt: Date.now() + config.redirectCacheTtl * 1000,
+  });
+};
+
+/**
+ * Drop the cached lookup for a hostname, e.g. after it is verified or removed
+ */
+const invalidateDomain = (hostname) => {
+  entries.delete(`${DOMAIN_KEY_PREFIX}${hostname}`);
+};
+
+/**
+ * Drop everything cached for a link: its own entries, plus misses cached for
+ * its current short ID and aliases (e.g. after a rename or restore)
+ * @param {Object} urlDoc - link document, before or after the change
+ */
+const invalidate = (urlDoc) => {
+  const urlId = String(urlDoc._id);
+  const lookupKeys = new Set([
+    normalizeShortId(urlDoc.shortId),
+    ...(urlDoc.aliases || []).map(normalizeShortId),
+  ]);
+
+  for (const [cacheKey, entry] of entries) {
+    if (cacheKey.startsWith(DOMAIN_KEY_PREFIX)) continue;
+
+    const lookupKey = normalizeShortId(cacheKey.slice(0, cacheKey.lastIndexOf("@")));
+    if ((entry.urlDoc && String(entry.urlDoc._id) === urlId) || lookupKeys.has(lookupKey)) {
+      entries.delete(cacheKey);
+    }
+  }
+};
+
+/**
+ * Drop every cached link owned by a user, e.g. after bulk changes to their links
+ */
+const invalidateOwner = (userId) => {
+  for (const [cacheKey, entry] of entries) {
+    if (entry.urlDoc && String(entry.urlDoc.createdBy) === String(userId)) {
+      entries.delete(cacheKey);
+    }
+  }
+};
+
+module.exports = {
+  get,
+  set,
+  invalidate,
+  invalidateOwner,
+  getDomainId,
+  setDomainId,
+  invalidateDomain,
+};
@@ -0,0 +1,77 @@
+const URLRevision = require("../models/urlRevision.model");
+
+// Link fields captured in edit history. The password hash is deliberately
+// left out so it never ends up in revision documents.
+const TRACKED_FIELDS = [
+  "shortId",
+  "aliases",
+  "title",
+  "description",
+  "redirectURL",
+  "redirectType",
+  "folderId",
+  "domainId",
+  "isActive",
+  "expirationDate",
+  "activeFrom",
+  "fallbackURL",
+  "maxClicks",
+  "utm",
+  "passthrough",
+  "interstitial",
+  "openGraph",
+  "deepLink",
+  "variants",
+  "geoRules",
+  "deviceRules",
+  "languageRules",
+  "scheduleRules",
+  "scheduleTimezone",
+];
+
+/**
+ * Capture the tracked fields of a URL document as plain JSON values
+ */
+const snapshotUrl = (urlDoc) => {
+  const plain = urlDoc.toObject({ depopulate: true });
+
+  return TRACKED_FIELDS.reduce((snapshot, field) => {
+    snapshot[field] = JSON.parse(JSON.stringify(plain[field] ?? null));
+    return snapshot;
+  }, {});
+};
+
+/**
+ * List the tracked fields that differ between two snapshots
+ * @returns {Array} [{ field, oldValue, newValue }]
+ */
+const diffSnapshots = (before, after) =>
+  TRACKED_FIELDS.filter(
+    (field) => JSON.stringify(before[field]) !== JSON.stringify(after[field])
+  ).map((field) => ({
+    field,
+    oldValue: before[field],
+    newValue: after[field],
+  }));
+
+/**
+ * Store a revision for whatever changed on urlDoc since `before` was taken
+ * @returns {Promise<Object|null>} the revision, or null when nothing changed
+ */
+const recordRevision = async (urlDoc, before, { changedBy, action = "edit", rolledBackRevision = null }) => {
+  const changes = diffSnapshots(before, snapshotUrl(urlDoc));
+  if (changes.length === 0) return null;
+
+  return URLRevision.create({
+    urlId: urlDoc._id,
+    changedBy,
+    action,
+    rolledBackRevision,
+    changes,
+  });
+};
+
+module.exports = {
+  snapshotUrl,
+  recordRevision,
+};
@@ -0,0 +1,790 @@
+// Region shorthands accepted in geo rules alongside ISO 3166-1 alpha-2 codes
+const COUNTRY_GROUPS = {
+  EU: [
+    "AT", "BE", "BG", "HR", "CY", "CZ", "DK", "EE", "FI", "FR", "DE", "GR", "HU", "IE",
+    "IT", "LV", "LT", "LU", "MT", "NL", "PL", "PT", "RO", "SK", "SI", "ES", "SE",
+  ],
+};
+
+// Values accepted in device rules
+const DEVICE_RULE_OS = ["ios", "android", "windows", "macos", "linux"];
+const DEVICE_RULE_TYPES = ["mobile", "tablet", "desktop", "tv"];
+
+// UTM fields stored on a link, mapped to their query parameter names
+const UTM_PARAMS = {
+  source: "utm_source",
+  medium: "utm_medium",
+  campaign: "utm_campaign",
+  term: "utm_term",
+  content: "utm_content",
+};
+
+// How duplicated query keys are handled when forwarding incoming parameters
+const PASSTHROUGH_CONFLICT_MODES = ["destination", "incoming", "append"];
+
+// Days accepted in schedule rules, in Date#getDay() order
+const SCHEDULE_DAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+const MINUTES_PER_DAY = 24 * 60;
+const MINUTES_PER_WEEK = 7 * MINUTES_PER_DAY;
+
+/**
+ * Normalize a destination URL (add protocol if missing)
+ * Only http(s) destinations are accepted; anything else would fail at redirect time.
+ * @param {String} rawURL - URL as supplied by the user
+ * @returns {String|null} Normalized URL, or null if it cannot be parsed or isn't http(s)
+ */
+const normalizeDestinationURL = (rawURL) => {
+  if (typeof rawURL !== "string" || rawURL.trim() === "") return null;
+
+  const trimmedURL = rawURL.trim();
+  const normalizedURL = /^[a-zA-Z][a-zA-Z\d+\-.]*:\/\//.test(trimmedURL)
+    ? trimmedURL
+    : `https://${trimmedURL}`;
+
+  try {
+    const { protocol } = new globalThis.URL(normalizedURL);
+    return ["http:", "https:"].includes(protocol) ? normalizedURL : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Validate A/B split variants from a create/edit request body
+ * @param {Array} variants - [{ label, redirectURL, weight }]
+ * @returns {Object} { error } on failure, { value } with normalized variants on success
+ */
+const validateVariants = (variants) => {
+  if (variants === null) return { value: [] };
+
+  if (!Array.isArray(variants)) {
+    return { error: "Variants must be an array" };
+  }
+
+  if (variants.length === 0) return { value: [] };
+
+  if (variants.length < 2 || variants.length > 10) {
+    return { error: "A split link needs between 2 and 10 variants" };
+  }
+
+  const labels = new Set();
+  const value = [];
+  let totalWeight = 0;
+
+  for (const variant of variants) {
+    const label = typeof variant?.label === "string" ? variant.label.trim() : "";
+    if (!label || label.length > 50) {
+      return { error: "Each variant needs a label of 1-50 characters" };
+    }
+
+    if (labels.has(label.toLowerCase())) {
+      return { error: `Duplicate variant label: ${label}` };
+    }
+    labels.add(label.toLowerCase());
+
+    const redirectURL = normalizeDestinationURL(variant.redirectURL);
+    if (!redirectURL) {
+      return { error: `Invalid URL format for variant: ${label}` };
+    }
+
+    const weight = Number(variant.weight);
+    if (!Number.isFinite(weight) || weight < 0 || weight > 100) {
+      return { error: `Weight for variant ${label} must be between 0 and 100` };
+    }
+
+    totalWeight += weight;
+    value.push({ label, redirectURL, weight });
+  }
+
+  if (Math.abs(totalWeight - 100) > 0.001) {
+    return { error: "Variant weights must add up to 100" };
+  }
+
+  return { value };
+};
+
+/**
+ * Pick one variant at random, proportionally to its weight
+ * @param {Array} variants - [{ label, redirectURL, weight }]
+ * @returns {Object|null} Chosen variant, or null if there is nothing to pick
+ */
+const pickWeightedVariant = (variants) => {
+  if (!Array.isArray(variants) || variants.length === 0) return null;
+
+  const totalWeight = variants.reduce((sum, variant) => sum + variant.weight, 0);
+  if (totalWeight <= 0) return null;
+
+  let roll = Math.random() * totalWeight;
+  for (const variant of variants) {
+    roll -= variant.weight;
+    if (roll < 0) return variant;
+  }
+
+  // Floating point leftovers land on the last weighted variant
+  return [...variants].reverse().find((variant) => variant.weight > 0);
+};
+
+/**
+ * Validate geo-targeting rules from a create/edit request body
+ * @param {Array} rules - [{ label, countries, redirectURL }], evaluated in order
+ * @returns {Object} { error } on failure, { value } with normalized rules on success
+ */
+const validateGeoRules = (rules) => {
+  if (rules === null) return { value: [] };
+
+  if (!Array.isArray(rules)) {
+    return { error: "Geo rules must be an array" };
+  }
+
+  if (rules.length > 20) {
+    return { error: "A link can have at most 20 geo rules" };
+  }
+
+  const value = [];
+
+  for (const rule of rules) {
+    if (!Array.isArray(rule?.countries) || rule.countries.length === 0) {
+      return { error: "Each geo rule needs at least one country code" };
+    }
+
+    const countries = [];
+    for (const code of rule.countries) {
+      const normalizedCode = typeof code === "string" ? code.trim().toUpperCase() : "";
+      if (!/^[A-Z]{2}$/.test(normalizedCode) && !COUNTRY_GROUPS[normalizedCode]) {
+        return { error: `Invalid country code: ${code}` };
+      }
+      if (!countries.includes(normalizedCode)) countries.push(normalizedCode);
+    }
+
+    const redirectURL = normalizeDestinationURL(rule.redirectURL);
+    if (!redirectURL) {
+      return { error: `Invalid URL format for geo rule: ${countries.join(", ")}` };
+    }
+
+    const label = typeof rule.label === "string" && rule.label.trim()
+      ? rule.label.trim()
+      : countries.join(", ");
+
+    value.push({ label, countries, redirectURL });
+  }
+
+  return { value };
+};
+
+/**
+ * Find the first geo rule covering the visitor's country
+ * @param {Array} rules - Geo rules stored on the URL document
+ * @param {String} countryCode - Visitor's ISO 3166-1 alpha-2 country code
+ * @returns {Object|null} Matching rule or null
+ */
+const matchGeoRule = (rules, countryCode) => {
+  if (!Array.isArray(rules) || rules.length === 0 || !countryCode) return null;
+
+  const code = countryCode.toUpperCase();
+
+  return rules.find((rule) =>
+    rule.countries.some((entry) =>
+      entry === code || (COUNTRY_GROUPS[entry] || []).includes(code)
+    )
+  ) || null;
+};
+
+/**
+ * Validate device/OS targeting rules from a create/edit request body
+ * @param {Array} rules - [{ label, os, deviceTypes, redirectURL }], evaluated in order
+ * @returns {Object} { error } on failure, { value } with normalized rules on success
+ */
+const validateDeviceRules = (rules) => {
+  if (rules === null) return { value: [] };
+
+  if (!Array.isArray(rules)) {
+    return { error: "Device rules must be an array" };
+  }
+
+  if (rules.length > 20) {
+    return { error: "A link can have at most 20 device rules" };
+  }
+
+  const value = [];
+
+  for (const rule of rules) {
+    const os = normalizeRuleValues(rule?.os);
+    const deviceTypes = normalizeRuleValues(rule?.deviceTypes);
+
+    if (!os || !deviceTypes) {
+      return { error: "Device rule os and deviceTypes must be arrays" };
+    }
+
+    if (os.length === 0 && deviceTypes.length === 0) {
+      return { error: "Each device rule needs at least one os or device type" };
+    }
+
+    const unknownOS = os.find((entry) => !DEVICE_RULE_OS.includes(entry));
+    if (unknownOS) {
+      return { error: `Invalid os: ${unknownOS}. Allowed: ${DEVICE_RULE_OS.join(", ")}` };
+    }
+
+    const unknownType = deviceTypes.find((entry) => !DEVICE_RULE_TYPES.includes(entry));
+    if (unknownType) {
+      return { error: `Invalid device type: ${unknownType}. Allowed: ${DEVICE_RULE_TYPES.join(", ")}` };
+    }
+
+    const redirectURL = normalizeDestinationURL(rule.redirectURL);
+    if (!redirectURL) {
+      return { error: `Invalid URL format for device rule: ${[...os, ...deviceTypes].join(", ")}` };
+    }
+
+    const label = typeof rule.label === "string" && rule.label.trim()
+      ? rule.label.trim()
+      : [...os, ...deviceTypes].join(", ");
+
+    value.push({ label, os, deviceTypes, redirectURL });
+  }
+
+  return { value };
+};
+
+/**
+ * Find the first device rule matching the visitor's OS and device type
+ * A rule matches when every list it sets (os, deviceTypes) contains the visitor's value.
+ * @param {Array} rules - Device rules stored on the URL document
+ * @param {Object} visitor - { os, deviceType }
+ * @returns {Object|null} Matching rule or null
+ */
+const matchDeviceRule = (rules, { os, deviceType } = {}) => {
+  if (!Array.isArray(rules) || rules.length === 0) return null;
+
+  return rules.find((rule) =>
+    (rule.os.length === 0 || rule.os.includes(os)) &&
+    (rule.deviceTypes.length === 0 || rule.deviceTypes.includes(deviceType))
+  ) || null;
+};
+
+/**
+ * Helper: Lower-case and de-duplicate a list of rule values
+ * @returns {Array|null} Normalized list, or null if the input is not an array
+ */
+const normalizeRuleValues = (values) => {
+  if (values === undefined || values === null) return [];
+  if (!Array.isArray(values)) return null;
+
+  return [...new Set(
+    values
+      .filter((entry) => typeof entry === "string")
+      .map((entry) => entry.trim().toLowerCase())
+      .filter(Boolean)
+  )];
+};
+
+/**
+ * Validate UTM tags from a create/edit request body
+ * @param {Object} utm - { source, medium, campaign, term, content }
+ * @returns {Object} { error } on failure, { value } with normalized tags on success
+ */
+const validateUtm = (utm) => {
+  const value = {};
+  Object.keys(UTM_PARAMS).forEach((field) => {
+    value[field] = null;
+  });
+
+  if (utm === null) return { value };
+
+  if (typeof utm !== "object" || Array.isArray(utm)) {
+    return { error: "UTM tags must be an object" };
+  }
+
+  const unknownField = Object.keys(utm).find((field) => !UTM_PARAMS[field]);
+  if (unknownField) {
+    return { error: `Unknown UTM field: ${unknownField}. Allowed: ${Object.keys(UTM_PARAMS).join(", ")}` };
+  }
+
+  for (const field of Object.keys(UTM_PARAMS)) {
+    const tag = utm[field];
+    if (tag === undefined || tag === null || tag === "") continue;
+
+    if (typeof tag !== "string" || tag.trim().length > 100) {
+      return { error: `UTM ${field} must be a string of at most 100 characters` };
+    }
+
+    value[field] = tag.trim() || null;
+  }
+
+  return { value };
+};
+
+/**
+ * Add a link's UTM tags to a destination URL
+ * Parameters already present on the destination are left untouched.
+ * @param {String} destinationURL - Resolved destination
+ * @param {Object} utm - UTM tags stored on the URL document
+ * @returns {String} Destination with UTM parameters merged in
+ */
+const applyUtmParams = (destinationURL, utm) => {
+  if (!utm) return destinationURL;
+
+  const tags = Object.entries(UTM_PARAMS).filter(([field]) => utm[field]);
+  if (tags.length === 0) return destinationURL;
+
+  try {
+    const url = new globalThis.URL(destinationURL);
+    tags.forEach(([field, param]) => {
+      if (!url.searchParams.has(param)) {
+        url.searchParams.set(param, utm[field]);
+      }
+    });
+    return url.toString();
+  } catch {
+    return destinationURL;
+  }
+};
+
+/**
+ * Validate query/path passthrough settings from a create/edit request body
+ * @param {Object} passthrough - { query, path, onConflict }
+ * @returns {Object} { error } on failure, { value } with normalized settings on success
+ */
+const validatePassthrough = (passthrough) => {
+  if (passthrough === null) {
+    return { value: { query: false, path: false, onConflict: "destination" } };
+  }
+
+  if (typeof passthrough !== "object" || Array.isArray(passthrough)) {
+    return { error: "Passthrough settings must be an object" };
+  }
+
+  const onConflict = passthrough.onConflict ?? "destination";
+  if (!PASSTHROUGH_CONFLICT_MODES.includes(onConflict)) {
+    return { error: `Passthrough onConflict must be one of: ${PASSTHROUGH_CONFLICT_MODES.join(", ")}` };
+  }
+
+  return {
+    value: {
+      query: Boolean(passthrough.query),
+      path: Boolean(passthrough.path),
+      onConflict,
+    },
+  };
+};
+
+/**
+ * Forward the incoming query string and trailing path to a destination URL
+ * Keys present on both sides follow onConflict: "destination" keeps the stored
+ * value, "incoming" replaces it and "append" keeps both.
+ * @param {String} destinationURL - Resolved destination
+ * @param {Object} passthrough - Passthrough settings stored on the URL document
+ * @param {Object} incoming - { query: raw query string, pathSegments: [String] }
+ * @returns {String} Destination with forwarded path and query
+ */
+const applyPassthrough = (destinationURL, passthrough, { query = "", pathSegments = [] } = {}) => {
+  if (!passthrough || (!passthrough.query && !passthrough.path)) return destinationURL;
+
+  try {
+    const url = new globalThis.URL(destinationURL);
+
+    if (passthrough.path && pathSegments.length > 0) {
+      const extraPath = pathSegments.map((segment) => encodeURIComponent(segment)).join("/");
+      url.pathname = `${url.pathname.replace(/\/+$/, "")}/${extraPath}`;
+    }
+
+    if (passthrough.query && query) {
+      const incomingParams = new URLSearchParams(query);
+      const storedKeys = new Set(url.searchParams.keys());
+
+      for (const key of new Set(incomingParams.keys())) {
+        const values = incomingParams.getAll(key);
+
+        if (storedKeys.has(key) && passthrough.onConflict === "destination") continue;
+        if (storedKeys.has(key) && passthrough.onConflict === "incoming") {
+          url.searchParams.delete(key);
+        }
+
+        values.forEach((value) => url.searchParams.append(key, value));
+      }
+    }
+
+    return url.toString();
+  } catch {
+    return destinationURL;
+  }
+};
+
+/**
+ * Parse an Accept-Language header into language tags, most preferred first
+ * @param {String} header - e.g. "fr-CH, fr;q=0.9, en;q=0.8, *;q=0.5"
+ * @returns {Array} [{ tag: "fr-ch", primary: "fr", q: 1 }], wildcards and q=0 dropped
+ */
+const parseAcceptLanguage = (header) => {
+  if (typeof header !== "string" || header.trim() === "") return [];
+
+  return header
+    .split(",")
+    .map((part, index) => {
+      const [rawTag, ...params] = part.trim().split(";");
+      const tag = rawTag.trim().toLowerCase();
+      const qParam = params.map((param) => param.trim()).find((param) => param.startsWith("q="));
+      const q = qParam ? Number(qParam.slice(2)) : 1;
+
+      return { tag, primary: tag.split("-")[0], q: Number.isFinite(q) ? q : 0, index };
+    })
+    .filter((entry) => entry.tag && entry.tag !== "*" && /^[a-z]{1,8}(-[a-z0-9]{1,8})*$/.test(entry.tag) && entry.q > 0)
+    // Higher quality first; equal quality keeps header order
+    .sort((a, b) => b.q - a.q || a.index - b.index)
+    .map(({ tag, primary, q }) => ({ tag, primary, q }));
+};
+
+/**
+ * Validate language rules from a create/edit request body
+ * @param {Array} rules - [{ label, languages, redirectURL }], e.g. languages ["de"] or ["fr-CA"]
+ * @returns {Object} { error } on failure, { value } with normalized rules on success
+ */
+const validateLanguageRules = (rules) => {
+  if (rules === null) return { value: [] };
+
+  if (!Array.isArray(rules)) {
+    return { error: "Language rules must be an array" };
+  }
+
+  if (rules.length > 20) {
+    return { error: "A link can have at most 20 language rules" };
+  }
+
+  const value = [];
+
+  for (const rule of rules) {
+    const languages = normalizeRuleValues(rule?.languages);
+
+    if (!languages || languages.length === 0) {
+      return { error: "Each language rule needs at least one language code" };
+    }
+
+    const invalidLanguage = languages.find((language) => !/^[a-z]{2,3}(-[a-z0-9]{2,8})*$/.test(language));
+    if (invalidLanguage) {
+      return { error: `Invalid language code: ${invalidLanguage}` };
+    }
+
+    const redirectURL = normalizeDestinationURL(rule.redirectURL);
+    if (!redirectURL) {
+      return { error: `Invalid URL format for language rule: ${languages.join(", ")}` };
+    }
+
+    const label = typeof rule.label === "string" && rule.label.trim()
+      ? rule.label.trim()
+      : languages.join(", ");
+
+    value.push({ label, languages, redirectURL });
+  }
+
+  return { value };
+};
+
+/**
+ * Find the language rule for the visitor's most preferred language that has one
+ * A rule language "de" covers "de-ch"; "de-ch" only covers "de-ch".
+ * @param {Array} rules - Language rules stored on the URL document
+ * @param {Array} acceptedLanguages - Output of parseAcceptLanguage
+ * @returns {Object|null} { rule, language } or null
+ */
+const matchLanguageRule = (rules, acceptedLanguages) => {
+  if (!Array.isArray(rules) || rules.length === 0) return null;
+  if (!Array.isArray(acceptedLanguages) || acceptedLanguages.length === 0) return null;
+
+  for (const accepted of acceptedLanguages) {
+    const rule = rules.find((candidate) =>
+      candidate.languages.some((language) =>
+        language === accepted.tag || language === accepted.primary
+      )
+    );
+
+    if (rule) return { rule, language: accepted.tag };
+  }
+
+  return null;
+};
+
+/**
+ * Check that a string is a valid IANA timezone (e.g. "Europe/Berlin")
+ */
+const isValidTimezone = (timezone) => {
+  if (typeof timezone !== "string" || timezone.trim() === "") return false;
+
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Validate time-of-day/day-of-week rules from a create/edit request body
+ * A window whose end is not after its start runs past midnight into the next day.
+ * Windows of different rules may not overlap.
+ * @param {Array} rules - [{ label, days: ["mon", ...], start: "09:00", end: "17:00", redirectURL }]
+ * @returns {Object} { error } on failure, { value } with normalized rules on success
+ */
+const validateScheduleRules = (rules) => {
+  if (rules === null) return { value: [] };
+
+  if (!Array.isArray(rules)) {
+    return { error: "Schedule rules must be an array" };
+  }
+
+  if (rules.length > 20) {
+    return { error: "A link can have at most 20 schedule rules" };
+  }
+
+  const value = [];
+
+  for (const rule of rules) {
+    const days = normalizeRuleValues(rule?.days);
+
+    if (!days || days.length === 0) {
+      return { error: "Each schedule rule needs at least one day" };
+    }
+
+    const invalidDay = days.find((day) => !SCHEDULE_DAYS.includes(day));
+    if (invalidDay) {
+      return { error: `Invalid day: ${invalidDay}. Allowed: ${SCHEDULE_DAYS.join(", ")}` };
+    }
+
+    const start = parseTimeOfDay(rule.start);
+    const end = parseTimeOfDay(rule.end);
+    if (start === null || end === null) {
+      return { error: "Schedule rule start and end must be times in HH:mm format" };
+    }
+
+    if (start === end) {
+      return { error: "Schedule rule start and end must differ" };
+    }
+
+    const redirectURL = normalizeDestinationURL(rule.redirectURL);
+    if (!redirectURL) {
+      return { error: `Invalid URL format for schedule rule: ${days.join(", ")} ${rule.start}-${rule.end}` };
+    }
+
+    const label = typeof rule.label === "string" && rule.label.trim()
+      ? rule.label.trim()
+      : `${days.join(", ")} ${rule.start}-${rule.end}`;
+
+    value.push({
+      label,
+      days: SCHEDULE_DAYS.filter((day) => days.includes(day)),
+      start: rule.start.trim(),
+      end: rule.end.trim(),
+      redirectURL,
+    });
+  }
+
+  // Reject overlapping windows so the destination at any moment is unambiguous
+  const intervals = value.map(getWeeklyIntervals);
+  for (let i = 0; i < value.length; i++) {
+    for (let j = i + 1; j < value.length; j++) {
+      const overlaps = intervals[i].some(([startA, endA]) =>
+        intervals[j].some(([startB, endB]) => startA < endB && startB < endA)
+      );
+
+      if (overlaps) {
+        return { error: `Schedule rules "${value[i].label}" and "${value[j].label}" overlap` };
+      }
+    }
+  }
+
+  return { value };
+};
+
+/**
+ * Find the schedule rule whose window contains the given moment
+ * @param {Array} rules - Schedule rules stored on the URL document
+ * @param {String} timezone - IANA timezone the rules are written in
+ * @param {Date} date - Visit time
+ * @returns {Object|null} Matching rule or null
+ */
+const matchScheduleRule = (rules, timezone, date = new Date()) => {
+  if (!Array.isArray(rules) || rules.length === 0) return null;
+
+  const minuteOfWeek = getMinuteOfWeek(date, isValidTimezone(timezone) ? timezone : "UTC");
+
+  return rules.find((rule) =>
+    getWeeklyIntervals(rule).some(([start, end]) => minuteOfWeek >= start && minuteOfWeek < end)
+  ) || null;
+};
+
+/**
+ * Helper: Parse "HH:mm" into minutes after midnight
+ * @returns {Number|null} Minutes, or null if the value is not a valid time
+ */
+const parseTimeOfDay = (value) => {
+  if (typeof value !== "string") return null;
+
+  const match = /^([01]\d|2[0-3]):([0-5]\d)$/.exec(value.trim());
+  if (!match) return null;
+
+  return Number(match[1]) * 60 + Number(match[2]);
+};
+
+/**
+ * Helper: Expand a schedule rule into [start, end) minute-of-week intervals
+ * Windows past midnight continue into the next day; Saturday wraps to Sunday.
+ */
+const getWeeklyIntervals = (rule) => {
+  const start = parseTimeOfDay(rule.start);
+  const end = parseTimeOfDay(rule.end);
+  const length = end > start ? end - start : MINUTES_PER_DAY - start + end;
+  const intervals = [];
+
+  rule.days.forEach((day) => {
+    const intervalStart = SCHEDULE_DAYS.indexOf(day) * MINUTES_PER_DAY + start;
+    const intervalEnd = intervalStart + length;
+
+    if (intervalEnd <= MINUTES_PER_WEEK) {
+      intervals.push([intervalStart, intervalEnd]);
+    } else {
+      intervals.push([intervalStart, MINUTES_PER_WEEK]);
+      intervals.push([0, intervalEnd - MINUTES_PER_WEEK]);
+    }
+  });
+
+  return intervals;
+};
+
+/**
+ * Helper: Minutes since Sunday 00:00 for a moment in a timezone
+ */
+const getMinuteOfWeek = (date, timezone) => {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone: timezone,
+    weekday: "short",
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: "h23",
+  }).formatToParts(date);
+
+  const part = (type) => parts.find((entry) => entry.type === type).value;
+  const day = SCHEDULE_DAYS.indexOf(part("weekday").toLowerCase());
+
+  return day * MINUTES_PER_DAY + Number(part("hour")) * 60 + Number(part("minute"));
+};
+
+/**
+ * Get the default destination in effect at a moment
+ * The latest queued destination change that has come into effect wins over
+ * the stored redirectURL, so no background job is needed to apply changes.
+ * @param {Object} urlDoc - URL document (lean or hydrated)
+ * @param {Date} now - Moment to resolve for
+ * @returns {String} Effective redirect URL
+ */
+const getEffectiveRedirectURL = (urlDoc, now = new Date()) => {
+  const dueChanges = (urlDoc.scheduledDestinations || []).filter(
+    (change) => new Date(change.effectiveAt) <= now
+  );
+
+  if (dueChanges.length === 0) return urlDoc.redirectURL;
+
+  return dueChanges.reduce((latest, change) =>
+    new Date(change.effectiveAt) > new Date(latest.effectiveAt) ? change : latest
+  ).redirectURL;
+};
+
+/**
+ * Move queued destination changes that have come into effect onto redirectURL
+ * @param {Object} urlDoc - Hydrated mongoose URL document (modified in place)
+ * @param {Date} now - Moment to apply changes up to
+ * @returns {Boolean} True if the document changed
+ */
+const applyDueDestinationChanges = (urlDoc, now = new Date()) => {
+  const pending = (urlDoc.scheduledDestinations || []).filter(
+    (change) => new Date(change.effectiveAt) > now
+  );
+
+  if (pending.length === (urlDoc.scheduledDestinations || []).length) return false;
+
+  urlDoc.redirectURL = getEffectiveRedirectURL(urlDoc, now);
+  urlDoc.scheduledDestinations = pending;
+  return true;
+};
+
+/**
+ * Resolve where a visit should go
+ * Rules are checked device first, then geo, then language, then schedule; the
+ * first match wins. A/B split variants only split the default destination when
+ * no rule matches; the default honours queued destination changes.
+ * @param {Object} urlDoc - Lean URL document
+ * @param {Object} context - Visit context ({ countryCode, os, deviceType, languages, now })
+ * @returns {Object} { destinationURL, variant, matchedRule, language }
+ */
+const resolveDestination = (urlDoc, context = {}) => {
+  const deviceRule = matchDeviceRule(urlDoc.deviceRules, context);
+  if (deviceRule) {
+    return {
+      destinationURL: deviceRule.redirectURL,
+      variant: null,
+      matchedRule: { kind: "device", ruleId: deviceRule._id, label: deviceRule.label },
+      language: null,
+    };
+  }
+
+  const geoRule = matchGeoRule(urlDoc.geoRules, context.countryCode);
+  if (geoRule) {
+    return {
+      destinationURL: geoRule.redirectURL,
+      variant: null,
+      matchedRule: { kind: "geo", ruleId: geoRule._id, label: geoRule.label },
+      language: null,
+    };
+  }
+
+  const languageMatch = matchLanguageRule(urlDoc.languageRules, context.languages);
+  if (languageMatch) {
+    const { rule, language } = languageMatch;
+    return {
+      destinationURL: rule.redirectURL,
+      variant: null,
+      matchedRule: { kind: "language", ruleId: rule._id, label: rule.label },
+      language,
+    };
+  }
+
+  const scheduleRule = matchScheduleRule(urlDoc.scheduleRules, urlDoc.scheduleTimezone, context.now);
+  if (scheduleRule) {
+    return {
+      destinationURL: scheduleRule.redirectURL,
+      variant: null,
+      matchedRule: { kind: "schedule", ruleId: scheduleRule._id, label: scheduleRule.label },
+      language: null,
+    };
+  }
+
+  const variant = pickWeightedVariant(urlDoc.variants);
+
+  return {
+    destinationURL: variant
+      ? variant.redirectURL
+      : getEffectiveRedirectURL(urlDoc, context.now),
+    variant,
+    matchedRule: null,
+    language: null,
+  };
+};
+
+module.exports = {
+  normalizeDestinationURL,
+  validateVariants,
+  pickWeightedVariant,
+  validateGeoRules,
+  matchGeoRule,
+  validateDeviceRules,
+  matchDeviceRule,
+  parseAcceptLanguage,
+  validateLanguageRules,
+  matchLanguageRule,
+  isValidTimezone,
+  validateScheduleRules,
+  matchScheduleRule,
+  validateUtm,
+  applyUtmParams,
+  validatePassthrough,
+  applyPassthrough,
+  getEffectiveRedirectURL,
+  applyDueDestinationChanges,
+  resolveDestination,
+};
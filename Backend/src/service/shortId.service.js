@@ -0,0 +1,22 @@
+// Paths that can never be claimed as short IDs or aliases, so root-path short
+// links can't shadow app routes (compared case-insensitively)
+const RESERVED_SHORT_IDS = new Set([
+  "about", "admin", "api", "app", "assets", "auth", "dashboard", "docs",
+  "health", "help", "login", "logout", "public", "r", "register", "settings",
+  "signup", "static", "status", "support", "www",
+]);
+
+/**
+ * Lookup key for a short ID or alias; resolution is case-insensitive
+ */
+const normalizeShortId = (shortId) => String(shortId).trim().toLowerCase();
+
+/**
+ * Check whether a short ID is on the reserved-word list
+ */
+const isReservedShortId = (shortId) => RESERVED_SHORT_IDS.has(normalizeShortId(shortId));
+
+module.exports = {
+  normalizeShortId,
+  isReservedShortId,
+};
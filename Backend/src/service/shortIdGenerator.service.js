@@ -0,0 +1,200 @@
+const crypto = require("crypto");
+const { customAlphabet, urlAlphabet } = require("nanoid");
+const URL = require("../models/url.model");
+const Counter = require("../models/counter.model");
+const { normalizeShortId, isReservedShortId } = require("./shortId.service");
+
+const SHORT_ID_STRATEGIES = ["random", "sequential", "words", "hash"];
+const MIN_LENGTH = 4;
+const MAX_LENGTH = 20;
+const DEFAULT_LENGTHS = { random: 8, sequential: 4, hash: 8 };
+
+// Sequential and hash IDs are lower-case only: lookups fold case, so mixed-case
+// digits would make distinct values collide
+const BASE36_ALPHABET = "0123456789abcdefghijklmnopqrstuvwxyz";
+
+// Characters easily misread for one another (0/O/o, 1/l/I)
+const CONFUSABLE_CHARS = "0Oo1lI";
+const withoutConfusables = (alphabet) =>
+  [...alphabet].filter((char) => !CONFUSABLE_CHARS.includes(char)).join("");
+const CONFUSABLE_SAFE_ALPHABET = withoutConfusables(urlAlphabet);
+const CONFUSABLE_SAFE_BASE_ALPHABET = withoutConfusables(BASE36_ALPHABET);
+
+// Words are at most 7 letters so "adjective-noun-1234" stays within MAX_LENGTH
+const ADJECTIVES = [
+  "amber", "bold", "brave", "bright", "calm", "clever", "cosmic", "crisp",
+  "daring", "eager", "fancy", "fresh", "gentle", "giant", "golden", "happy",
+  "humble", "jolly", "keen", "kind", "lively", "lucky", "mellow", "mighty",
+  "neat", "noble", "proud", "quick", "quiet", "rapid", "rosy", "shiny",
+  "silent", "smart", "snowy", "sunny", "swift", "tidy", "vivid", "warm",
+  "wild", "wise", "witty", "young", "zesty", "breezy", "cheery", "dapper",
+];
+const NOUNS = [
+  "badger", "beacon", "canyon", "cedar", "comet", "coral", "dolphin", "eagle",
+  "falcon", "fern", "forest", "fox", "garden", "harbor", "heron", "island",
+  "jaguar", "kettle", "lagoon", "lantern", "maple", "meadow", "meteor", "otter",
+  "panda", "pebble", "pepper", "planet", "quartz", "rabbit", "raven", "river",
+  "rocket", "saffron", "salmon", "sparrow", "spruce", "summit", "tiger", "tulip",
+  "valley", "walrus", "willow", "wombat", "yak", "zebra", "orchid", "glacier",
+];
+
+// Each round checks a batch of candidates with one query; random and hash IDs
+// grow by a character per round so a crowded keyspace can't cause endless retries
+const MAX_ROUNDS = 4;
+const CANDIDATES_PER_ROUND = 5;
+
+/**
+ * Encode a non-negative integer (Number or BigInt) using the given digits
+ * (base36 by default)
+ */
+const toBase = (value, alphabet = BASE36_ALPHABET) => {
+  const base = BigInt(alphabet.length);
+  let remaining = BigInt(value);
+  let encoded = "";
+
+  do {
+    encoded = alphabet[Number(remaining % base)] + encoded;
+    remaining /= base;
+  } while (remaining > 0n);
+
+  return encoded;
+};
+
+// Digits for sequential and hash IDs; confusableSafe drops 0/o and 1/l
+const getBaseAlphabet = (confusableSafe) =>
+  confusableSafe ? CONFUSABLE_SAFE_BASE_ALPHABET : BASE36_ALPHABET;
+
+const pickRandom = (list) => list[crypto.randomInt(list.length)];
+
+/**
+ * Candidate builders, one per strategy
+ * @returns {Promise<string[]>|string[]} CANDIDATES_PER_ROUND short IDs (one for sequential)
+ */
+const candidateBuilders = {
+  random: ({ length, alphabet, confusableSafe }, round) => {
+    const size = Math.min(MAX_LENGTH, length + round);
+    // An explicit alphabet is used as given; confusableSafe only trims the default one
+    const chars = alphabet || (confusableSafe ? CONFUSABLE_SAFE_ALPHABET : urlAlphabet);
+    const generate = customAlphabet(chars, size);
+
+    return Array.from({ length: CANDIDATES_PER_ROUND }, () => generate());
+  },
+
+  // One counter value per round: values never repeat, so a candidate only
+  // collides with a custom ID or alias (or a reserved word) and none are wasted
+  sequential: async ({ length, confusableSafe }) => {
+    const digits = getBaseAlphabet(confusableSafe);
+    const counter = await Counter.findOneAndUpdate(
+      { _id: "shortId" },
+      { $inc: { seq: 1 } },
+      { upsert: true, new: true }
+    );
+
+    return [toBase(counter.seq, digits).padStart(length, digits[0])];
+  },
+
+  // "brave-otter", then a numeric suffix with one more digit per round
+  words: (options, round) =>
+    Array.from({ length: CANDIDATES_PER_ROUND }, () => {
+      const slug = `${pickRandom(ADJECTIVES)}-${pickRandom(NOUNS)}`;
+      return round === 0 ? slug : `${slug}-${crypto.randomInt(10 ** (round + 1))}`;
+    }),
+
+  // The first candidate depends only on the destination; later ones are salted
+  hash: ({ length, redirectURL, confusableSafe }, round) => {
+    const size = Math.min(MAX_LENGTH, length + round);
+    const digits = getBaseAlphabet(confusableSafe);
+
+    return Array.from({ length: CANDIDATES_PER_ROUND }, (_, i) => {
+      const attempt = round * CANDIDATES_PER_ROUND + i;
+      const input = attempt === 0 ? redirectURL : `${redirectURL}#${attempt}`;
+      const digest = crypto.createHash("sha256").update(input).digest("hex");
+      return toBase(BigInt(`0x${digest}`), digits).slice(0, size);
+    });
+  },
+};
+
+/**
+ * Validate a short ID strategy from a request body or account settings
+ * Accepts a strategy name or { strategy, length, alphabet }; null clears it.
+ * @returns {Object} { error } on failure, { value } with normalized settings on success
+ */
+const validateShortIdStrategy = (input) => {
+  if (input === null) return { value: null };
+
+  const settings = typeof input === "string" ? { strategy: input } : input;
+  if (!settings || typeof settings !== "object" || Array.isArray(settings)) {
+    return { error: "Short ID strategy must be a strategy name or an object" };
+  }
+
+  const { strategy, length, alphabet } = settings;
+
+  if (!SHORT_ID_STRATEGIES.includes(strategy)) {
+    return { error: `Short ID strategy must be one of: ${SHORT_ID_STRATEGIES.join(", ")}` };
+  }
+
+  const value = { strategy, length: null, alphabet: null };
+
+  if (length !== undefined && length !== null) {
+    if (strategy === "words") {
+      return { error: "Length cannot be set for the words strategy" };
+    }
+    if (!Number.isInteger(Number(length)) || length < MIN_LENGTH || length > MAX_LENGTH) {
+      return { error: `Short ID length must be ${MIN_LENGTH}-${MAX_LENGTH}` };
+    }
+    value.length = Number(length);
+  }
+
+  if (alphabet !== undefined && alphabet !== null) {
+    if (strategy !== "random") {
+      return { error: "An alphabet can only be set for the random strategy" };
+    }
+    const chars = [...new Set(String(alphabet))].join("");
+    if (!/^[a-zA-Z0-9_-]+$/.test(chars) || chars.length < 2) {
+      return { error: "Alphabet needs at least 2 distinct letters, digits, dashes or underscores" };
+    }
+    value.alphabet = chars;
+  }
+
+  return { value };
+};
+
+/**
+ * Lookup keys among the candidates that are already used as a short ID or alias
+ */
+const findTakenKeys = async (candidates) => {
+  const keys = candidates.map(normalizeShortId);
+  const taken = await URL.find({
+    $or: [{ shortIdKey: { $in: keys } }, { aliasKeys: { $in: keys } }],
+  })
+    .select("shortIdKey aliasKeys")
+    .lean();
+
+  return new Set(taken.flatMap((url) => [url.shortIdKey, ...(url.aliasKeys || [])]));
+};
+
+/**
+ * Generate a short ID not yet used by any link
+ * @param {Object} options - { strategy, length, alphabet, confusableSafe, redirectURL }
+ * @returns {Promise<string|null>} the ID, or null when every attempt collided
+ */
+const generateUniqueShortId = async ({ strategy = "random", length, ...options } = {}) => {
+  const settings = { ...options, length: length || DEFAULT_LENGTHS[strategy] };
+
+  for (let round = 0; round < MAX_ROUNDS; round++) {
+    const candidates = await candidateBuilders[strategy](settings, round);
+    const takenKeys = await findTakenKeys(candidates);
+
+    const shortId = candidates.find(
+      (candidate) => !takenKeys.has(normalizeShortId(candidate)) && !isReservedShortId(candidate)
+    );
+    if (shortId) return shortId;
+  }
+
+  return null;
+};
+
+module.exports = {
+  validateShortIdStrategy,
+  generateUniqueShortId,
+};
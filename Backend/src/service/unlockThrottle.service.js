@@ -0,0 +1,109 @@
+// Unlock attempts allowed per visitor and window before the visitor is locked out
+const MAX_ATTEMPTS = 5;
+const WINDOW_MS = 15 * 60 * 1000; // 15 minutes
+const LOCKOUT_MS = 15 * 60 * 1000; // 15 minutes
+
+// Attempts allowed per link and minute across all visitors, so rotating IPs
+// can't keep guessing. A rate rather than a lockout: nobody waits more than
+// the rest of the current minute.
+const LINK_MAX_ATTEMPTS = 30;
+const LINK_WINDOW_MS = 60 * 1000;
+
+// key ("<urlId>:<ip>") -> { attempts, windowStart, lockedUntil }
+const attempts = new Map();
+
+// urlId -> { attempts, windowStart }
+const linkAttempts = new Map();
+
+/**
+ * Seconds until the key may try again (0 if not locked)
+ * @param {String} key - Throttle key, usually link id + visitor IP
+ * @returns {Number} Seconds to wait
+ */
+const getRetryAfter = (key) => {
+  const entry = attempts.get(key);
+  if (!entry || !entry.lockedUntil) return 0;
+
+  const remaining = entry.lockedUntil - Date.now();
+  if (remaining <= 0) {
+    attempts.delete(key);
+    return 0;
+  }
+
+  return Math.ceil(remaining / 1000);
+};
+
+/**
+ * Record an unlock attempt, locking the key once the limit is reached.
+ * Call before checking the password so concurrent guesses all count;
+ * reset() clears it again on success.
+ * @param {String} key - Throttle key
+ */
+const recordAttempt = (key) => {
+  const now = Date.now();
+  let entry = attempts.get(key);
+
+  if (!entry || now - entry.windowStart > WINDOW_MS) {
+    entry = { attempts: 0, windowStart: now, lockedUntil: null };
+    attempts.set(key, entry);
+  }
+
+  entry.attempts += 1;
+
+  if (entry.attempts >= MAX_ATTEMPTS) {
+    entry.lockedUntil = now + LOCKOUT_MS;
+  }
+};
+
+/**
+ * Clear attempts after a successful unlock
+ * @param {String} key - Throttle key
+ */
+const reset = (key) => {
+  attempts.delete(key);
+};
+
+/**
+ * Count an attempt against the link's per-minute rate
+ * @param {String} linkKey - Link id
+ * @returns {Number} 0 if the attempt may go ahead, else seconds to wait
+ */
+const takeLinkAttempt = (linkKey) => {
+  const now = Date.now();
+  let entry = linkAttempts.get(linkKey);
+
+  if (!entry || now - entry.windowStart >= LINK_WINDOW_MS) {
+    entry = { attempts: 0, windowStart: now };
+    linkAttempts.set(linkKey, entry);
+  }
+
+  if (entry.attempts >= LINK_MAX_ATTEMPTS) {
+    return Math.ceil((entry.windowStart + LINK_WINDOW_MS - now) / 1000);
+  }
+
+  entry.attempts += 1;
+  return 0;
+};
+
+// Drop stale entries so the maps don't grow without bound
+setInterval(() => {
+  const now = Date.now();
+  for (const [key, entry] of attempts) {
+    const isLocked = entry.lockedUntil && entry.lockedUntil > now;
+    if (!isLocked && now - entry.windowStart > WINDOW_MS) {
+      attempts.delete(key);
+    }
+  }
+  for (const [key, entry] of linkAttempts) {
+    if (now - entry.windowStart >= LINK_WINDOW_MS) {
+      linkAttempts.delete(key);
+    }
+  }
+}, WINDOW_MS).unref();
+
+module.exports = {
+  getRetryAfter,
+  recordAttempt,
+  reset,
+  takeLinkAttempt,
+};
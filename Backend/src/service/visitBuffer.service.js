@@ -0,0 +1,140 @@
+const mongoose = require("mongoose");
+const config = require("../config/index");
+const VisitHistory = require("../models/visitHistory.model");
+
+// Batches failing with a transient error are retried this many times, backing off between tries
+const MAX_ATTEMPTS = 3;
+const RETRY_BASE_DELAY_MS = 1000;
+
+const DUPLICATE_KEY_ERROR = 11000;
+
+// Queued visits: { visit, attempts }
+const queue = [];
+let inFlight = 0;
+let dropped = 0;
+let flushing = null;
+let pausedUntil = 0;
+
+/**
+ * Errors worth retrying: lost connections, elections, timeouts while disconnected
+ */
+const isTransientError = (error) =>
+  ["MongoNetworkError", "MongoNetworkTimeoutError", "MongoServerSelectionError"].includes(error?.name) ||
+  Boolean(error?.hasErrorLabel?.("RetryableWriteError")) ||
+  /buffering timed out/i.test(error?.message || "");
+
+/**
+ * Insert one batch; re-queue it at the front on transient failure
+ */
+const writeBatch = async (batch) => {
+  inFlight = batch.length;
+
+  try {
+    await VisitHistory.insertMany(batch.map((item) => item.visit), { ordered: false });
+  } catch (error) {
+    if (!isTransientError(error)) {
+      // Invalid documents won't succeed on retry; the rest of the batch was inserted.
+      // Duplicate keys are visits an earlier, partly failed attempt already saved.
+      const lost = error.writeErrors
+        ? error.writeErrors.filter((writeError) => writeError.code !== DUPLICATE_KEY_ERROR).length
+        : batch.length;
+
+      if (lost > 0) {
+        console.error("Error saving visit history batch:", error);
+        dropped += lost;
+      }
+      return;
+    }
+
+    const retryable = batch.filter((item) => ++item.attempts < MAX_ATTEMPTS);
+    dropped += batch.length - retryable.length;
+    queue.unshift(...retryable);
+
+    const attempt = Math.max(1, ...retryable.map((item) => item.attempts));
+    pausedUntil = Date.now() + RETRY_BASE_DELAY_MS * 2 ** (attempt - 1);
+    console.error(
+      `Visit history batch failed (${retryable.length} re-queued, ${batch.length - retryable.length} dropped):`,
+      error.message
+    );
+  } finally {
+    inFlight = 0;
+  }
+};
+
+/**
+ * Write the next batch, unless a write is running or retries are backing off
+ * @param {Object} options - { force } ignores the retry back-off
+ */
+const flush = ({ force = false } = {}) => {
+  if (flushing) return flushing;
+  if (queue.length === 0 || (!force && Date.now() < pausedUntil)) return Promise.resolve();
+
+  const batch = queue.splice(0, config.visitBatchSize);
+  flushing = writeBatch(batch).finally(() => {
+    flushing = null;
+
+    // Keep going while full batches piled up during the write
+    if (queue.length >= config.visitBatchSize) flush();
+  });
+
+  return flushing;
+};
+
+/**
+ * Queue a visit for the next batch insert
+ * @param {Object} visit - VisitHistory fields
+ */
+const enqueue = (visit) => {
+  // A fixed _id makes retries idempotent: an unordered insert can save part of
+  // a batch before failing, and re-inserting those visits then hits the _id index
+  queue.push({ visit: { _id: new mongoose.Types.ObjectId(), ...visit }, attempts: 0 });
+
+  // Shed the oldest visits rather than grow without bound while MongoDB is down
+  if (queue.length > config.visitQueueLimit) {
+    const overflow = queue.length - config.visitQueueLimit;
+    queue.splice(0, overflow);
+    dropped += overflow;
+  }
+
+  if (queue.length >= config.visitBatchSize) {
+    flush();
+  }
+};
+
+/**
+ * Flush everything still queued, e.g. before the process exits.
+ * Ends once the queue is empty or its remaining retries are used up.
+ */
+const drain = async () => {
+  while (queue.length > 0 || flushing) {
+    await flush({ force: true });
+
+    if (queue.length > 0 && Date.now() < pausedUntil) {
+      await new Promise((resolve) => setTimeout(resolve, pausedUntil - Date.now()));
+    }
+  }
+};
+
+/**
+ * Queue depth and loss counters for monitoring
+ */
+const getStats = () => ({
+  queued: queue.length,
+  inFlight,
+  dropped,
+  batchSize: config.visitBatchSize,
+  flushIntervalMs: config.visitFlushInterval,
+});
+
+setInterval(() => {
+  flush().catch((error) => {
+    console.error("Error flushing visit history:", error);
+  });
+}, config.visitFlushInterval).unref();
+
+module.exports = {
+  enqueue,
+  flush,
+  drain,
+  getStats,
+};